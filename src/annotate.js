@@ -0,0 +1,92 @@
+// Texte corrigé + rendus annotés (HTML <mark>, Markdown échappé) à partir des issues LanguageTool.
+// Chevauchements résolus de façon déterministe : tri par offset croissant, puis longueur
+// décroissante, puis ordre d’origine ; une issue qui chevauche une issue déjà retenue est écartée.
+// Les issues de portée « document » (langue, mélange de langues, texte généré) ne sont pas surlignées :
+// elles couvrent des phrases entières et masqueraient les corrections ponctuelles.
+
+const DOCUMENT_LEVEL = new Set(["language", "language_mix", "machine_generated"]);
+
+function escapeHtml(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Échappe la syntaxe Markdown et le HTML brut (le rendu ne doit rien interpréter du texte élève)
+function escapeMarkdown(s) {
+  return s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/([\\`*_{}[\]()#+\-.!|~^])/g, "\\$1");
+}
+
+/**
+ * Sélectionne les issues localisées et sans chevauchement.
+ * @param {string} text
+ * @param {object[]} issues - issues formatées (offset, length, replacements…)
+ * @returns {{ issue: number, offset: number, length: number, replacement: string|null }[]} triés par offset
+ */
+export function resolveSpans(text, issues) {
+  const candidates = (issues || [])
+    .map((it, i) => ({ it, i }))
+    .filter(({ it }) =>
+      !DOCUMENT_LEVEL.has(it?.type) &&
+      Number.isInteger(it?.offset) && Number.isInteger(it?.length) &&
+      it.offset >= 0 && it.length > 0 && it.offset + it.length <= text.length)
+    .sort((a, b) => a.it.offset - b.it.offset || b.it.length - a.it.length || a.i - b.i);
+
+  const spans = [];
+  let end = 0;
+  for (const { it, i } of candidates) {
+    if (it.offset < end) continue; // chevauche la précédente retenue
+    spans.push({ issue: i, offset: it.offset, length: it.length, replacement: it.replacements?.[0] ?? null });
+    end = it.offset + it.length;
+  }
+  return spans;
+}
+
+/**
+ * @param {string} text
+ * @param {object[]} issues
+ * @returns {{ correctedText: string, annotated: { html: string, markdown: string, spans: object[], skipped: number[] } }}
+ */
+export function annotateText(text, issues) {
+  const spans = resolveSpans(text, issues);
+  const kept = new Set(spans.map(s => s.issue));
+  const skipped = (issues || [])
+    .map((it, i) => (Number.isInteger(it?.offset) && !DOCUMENT_LEVEL.has(it.type) && !kept.has(i) ? i : null))
+    .filter(i => i !== null);
+
+  let corrected = "";
+  let html = "";
+  let md = "";
+  const notes = [];
+  let pos = 0;
+
+  for (const s of spans) {
+    const before = text.slice(pos, s.offset);
+    const original = text.slice(s.offset, s.offset + s.length);
+    const issue = issues[s.issue];
+
+    corrected += before + (s.replacement ?? original);
+    html += escapeHtml(before) +
+      `<mark class="issue issue-${escapeHtml(String(issue.type || "grammar"))}" data-issue="${s.issue}"` +
+      ` title="${escapeHtml(issue.message || "")}">${escapeHtml(original)}</mark>`;
+    md += escapeMarkdown(before) + `**${escapeMarkdown(original)}**[^${s.issue}]`;
+    notes.push(`[^${s.issue}]: ${escapeMarkdown(issue.message || "")}` +
+      (s.replacement !== null ? ` → ${escapeMarkdown(s.replacement)}` : ""));
+    pos = s.offset + s.length;
+  }
+
+  const rest = text.slice(pos);
+  corrected += rest;
+  html += escapeHtml(rest);
+  md += escapeMarkdown(rest);
+  if (notes.length) md += `\n\n${notes.join("\n")}`;
+
+  return { correctedText: corrected, annotated: { html, markdown: md, spans, skipped } };
+}
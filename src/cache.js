@@ -0,0 +1,121 @@
+// Cache adressé par contenu (clé = sha256 des éléments de clé : texte, langue, modèle…)
+// - LRU en mémoire (CACHE_MAX_ENTRIES, défaut 1000 par cache)
+// - TTL (CACHE_TTL_SECONDS, défaut 24 h ; 0 = sans expiration)
+// - stockage disque optionnel (CACHE_DIR : un fichier JSON par entrée)
+// - compteurs hits/misses exposés sur /health via cacheStats()
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+const MAX_ENTRIES = Number(process.env.CACHE_MAX_ENTRIES || 1000);
+const TTL_MS = Number(process.env.CACHE_TTL_SECONDS ?? 86400) * 1000;
+const CACHE_DIR = (process.env.CACHE_DIR || "").trim();
+
+const caches = new Map();
+
+function hashKey(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * Crée (ou retourne) le cache nommé `name`.
+ * @param {string} name - ex: "embeddings", "languagetool"
+ */
+export function getCache(name) {
+  if (caches.has(name)) return caches.get(name);
+
+  const mem = new Map(); // hash -> { value, expires }
+  const counters = { hits: 0, misses: 0, diskHits: 0, writes: 0 };
+  const dir = CACHE_DIR ? path.join(CACHE_DIR, name) : null;
+
+  const expired = entry => entry.expires && entry.expires < Date.now();
+
+  function remember(hash, entry) {
+    mem.delete(hash);
+    mem.set(hash, entry);
+    while (mem.size > MAX_ENTRIES) mem.delete(mem.keys().next().value);
+  }
+
+  async function readDisk(hash) {
+    if (!dir) return null;
+    try {
+      const entry = JSON.parse(await fs.readFile(path.join(dir, `${hash}.json`), "utf8"));
+      if (expired(entry)) {
+        fs.unlink(path.join(dir, `${hash}.json`)).catch(() => {});
+        return null;
+      }
+      return entry;
+    } catch {
+      return null;
+    }
+  }
+
+  async function writeDisk(hash, entry) {
+    if (!dir) return;
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${hash}.json`), JSON.stringify(entry));
+    } catch (e) {
+      logger.warn("cache write failed", { cache: name, error: e?.message || String(e) });
+    }
+  }
+
+  const cache = {
+    /** Valeur en cache ou undefined */
+    async get(parts) {
+      const hash = hashKey(parts);
+      let entry = mem.get(hash);
+      if (entry && expired(entry)) {
+        mem.delete(hash);
+        entry = null;
+      }
+      if (!entry) {
+        entry = await readDisk(hash);
+        if (entry) counters.diskHits++;
+      }
+      if (!entry) {
+        counters.misses++;
+        return undefined;
+      }
+      counters.hits++;
+      remember(hash, entry);
+      return entry.value;
+    },
+
+    async set(parts, value) {
+      const hash = hashKey(parts);
+      const entry = { value, expires: TTL_MS > 0 ? Date.now() + TTL_MS : 0 };
+      remember(hash, entry);
+      counters.writes++;
+      await writeDisk(hash, entry);
+    },
+
+    /** Retourne la valeur en cache, sinon calcule fn() et la mémorise (les erreurs ne sont pas mises en cache) */
+    async wrap(parts, fn) {
+      const cached = await cache.get(parts);
+      if (cached !== undefined) return cached;
+      const value = await fn();
+      await cache.set(parts, value);
+      return value;
+    },
+
+    stats() {
+      const total = counters.hits + counters.misses;
+      return {
+        ...counters,
+        size: mem.size,
+        hitRate: total ? Number((counters.hits / total).toFixed(3)) : null
+      };
+    }
+  };
+
+  caches.set(name, cache);
+  return cache;
+}
+
+/** Compteurs de tous les caches (pour /health) */
+export function cacheStats() {
+  return Object.fromEntries([...caches].map(([name, c]) => [name, c.stats()]));
+}
@@ -0,0 +1,254 @@
+// Calibration d’un barème à partir de copies notées par des enseignants.
+// 1) chaque copie est analysée avec le barème de départ ; on garde les mesures brutes des axes
+//    (unités d’erreur par axe, paragraphes, connecteurs, MATTR, répétitions…) pour pouvoir les re-noter
+// 2) recherche par coordonnées sur une grille de constantes de normalisation (scoring, voir rubricRegistry.js) ;
+//    pour chaque jeu de constantes, pondérations ajustées par moindres carrés contraints (poids ≥ 0, somme 1,
+//    gradient projeté sur le simplexe)
+// 3) accord avec les notes avant / après : MAE, RMSE, kappa pondéré quadratique (notes regroupées en 10 classes)
+// Les copies dont la grammaire n’a pu être vérifiée (aucun correcteur disponible) sont exclues.
+
+import { analyzeText } from "./pipeline.js";
+import { errorCategories } from "./taxonomy.js";
+import { DEFAULT_PTS_PER_ERROR } from "./scoring.js";
+import { ORGANIZATION_DEFAULTS, organizationScores } from "./organization.js";
+import { LEXIS_DEFAULTS, lexisScores } from "./lexis.js";
+import { organizationAxis } from "./rubricScoring.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+
+const AXES = ["content", "organization", "lexis", "grammar", "mechanics", "complexity"];
+const QWK_CLASSES = 10;
+const FIT_ITERATIONS = 400;
+const SEARCH_PASSES = 2;
+
+const range = (from, to, step) =>
+  Array.from({ length: Math.round((to - from) / step) + 1 }, (_, i) => Number((from + i * step).toFixed(4)));
+
+// Valeurs essayées pour chaque constante (et axe qu’elle influence)
+const GRID = {
+  grammarPtsPerError: { axis: "grammar", values: range(1, 15, 1) },
+  spellingPtsPerError: { axis: "mechanics", values: range(1, 15, 1) },
+  paragraphTarget: { axis: "organization", values: range(1, 6, 1) },
+  pointsPerConnector: { axis: "organization", values: range(10, 50, 5) },
+  diversityReference: { axis: "lexis", values: range(0.5, 0.9, 0.02) }
+};
+
+// Constantes effectives d’un barème (défauts des modules pour les clés absentes)
+function effectiveScoring(rubric) {
+  return {
+    grammarPtsPerError: DEFAULT_PTS_PER_ERROR.grammar,
+    spellingPtsPerError: DEFAULT_PTS_PER_ERROR.mechanics,
+    ...ORGANIZATION_DEFAULTS,
+    ...LEXIS_DEFAULTS,
+    ...(rubric.scoring || {})
+  };
+}
+
+// Mesures brutes d’une analyse (indépendantes des constantes du barème)
+function featuresOf(result) {
+  const defs = errorCategories();
+  const units = { grammar: 0, mechanics: 0 };
+  for (const [id, c] of Object.entries(result.details.errorCategories || {})) {
+    const axis = c.axis === "mechanics" ? "mechanics" : "grammar";
+    units[axis] += c.count * (defs[id]?.weight ?? 1) * result.details.lengthFactor;
+  }
+  const { organization: org, lexis: lex } = result.rubric.details;
+  return {
+    units,
+    paragraphs: org.paragraphs,
+    connectors: org.connScore === null ? null : org.connectorsFound.length,
+    genre: result.rubric.details.genre?.score ?? null,
+    lexis: { mattr: lex.mattr, repeated: lex.repeatedTop.length, rangeScore: lex.vocab ? lex.vocab.rangeScore : null },
+    content: result.rubric.breakdown.content,
+    complexity: result.rubric.breakdown.complexity
+  };
+}
+
+// Score 0..100 d’un axe pour une copie, avec les constantes `scoring` (mêmes formules que rubricAggregate)
+function axisScore(axis, f, scoring) {
+  switch (axis) {
+    case "grammar": return Math.max(0, Math.round(100 - f.units.grammar * scoring.grammarPtsPerError));
+    case "mechanics": return Math.max(0, Math.round(100 - f.units.mechanics * scoring.spellingPtsPerError));
+    case "organization": return organizationAxis(organizationScores(f.paragraphs, f.connectors, scoring), f.genre);
+    case "lexis": return lexisScores(f.lexis, scoring).lexisScore;
+    default: return f[axis];
+  }
+}
+
+// Projection euclidienne sur le simplexe { β ≥ 0, Σβ = 1 }
+function projectSimplex(v) {
+  const u = [...v].sort((a, b) => b - a);
+  let sum = 0;
+  let theta = 0;
+  for (let i = 0; i < u.length; i++) {
+    sum += u[i];
+    const t = (sum - 1) / (i + 1);
+    if (u[i] - t > 0) theta = t;
+  }
+  return v.map(x => Math.max(0, x - theta));
+}
+
+/**
+ * Moindres carrés sous contrainte de simplexe : min ||Xβ − y||² avec β ≥ 0, Σβ = 1.
+ * @param {number[][]} columns - une colonne (scores 0..100 de toutes les copies) par axe
+ * @param {number[]} y - notes cibles 0..100
+ * @param {number[]} start - pondérations initiales (sur le simplexe)
+ * @returns {{ beta: number[], sse: number }} sse : somme des carrés des écarts
+ */
+function fitWeights(columns, y, start) {
+  const dot = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0);
+  const xtx = columns.map(a => columns.map(b => dot(a, b)));
+  const xty = columns.map(a => dot(a, y));
+  const yty = dot(y, y);
+  const lipschitz = 2 * xtx.reduce((s, row, i) => s + row[i], 0) || 1; // trace ≥ plus grande valeur propre
+
+  let beta = start;
+  for (let it = 0; it < FIT_ITERATIONS; it++) {
+    const grad = xtx.map((row, i) => 2 * (dot(row, beta) - xty[i]));
+    beta = projectSimplex(beta.map((b, i) => b - grad[i] / lipschitz));
+  }
+  const sse = xtx.reduce((s, row, i) => s + beta[i] * dot(row, beta), 0) - 2 * dot(beta, xty) + yty;
+  return { beta, sse: Math.max(0, sse) };
+}
+
+// Pondérations entières de somme 100 (plus forts restes)
+function toPercent(beta) {
+  const raw = beta.map(b => b * 100);
+  const out = raw.map(Math.floor);
+  let rest = 100 - out.reduce((s, x) => s + x, 0);
+  const order = raw.map((x, i) => [x - Math.floor(x), i]).sort((a, b) => b[0] - a[0]);
+  for (const [, i] of order) { if (rest-- <= 0) break; out[i]++; }
+  return out;
+}
+
+/**
+ * Kappa pondéré quadratique entre deux séries de notes 0..100 regroupées en QWK_CLASSES classes.
+ * @returns {number|null} null si indéfini (aucune variance attendue)
+ */
+export function quadraticWeightedKappa(a, b, classes = QWK_CLASSES) {
+  const bin = s => Math.min(classes - 1, Math.max(0, Math.floor(s / (100 / classes))));
+  const n = a.length;
+  const observed = Array.from({ length: classes }, () => new Array(classes).fill(0));
+  const histA = new Array(classes).fill(0);
+  const histB = new Array(classes).fill(0);
+  for (let i = 0; i < n; i++) {
+    const x = bin(a[i]);
+    const y = bin(b[i]);
+    observed[x][y]++;
+    histA[x]++;
+    histB[y]++;
+  }
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < classes; i++) {
+    for (let j = 0; j < classes; j++) {
+      const w = ((i - j) ** 2) / ((classes - 1) ** 2);
+      num += w * observed[i][j];
+      den += w * (histA[i] * histB[j]) / n;
+    }
+  }
+  return den ? Number((1 - num / den).toFixed(3)) : null;
+}
+
+// MAE / RMSE / QWK entre notes enseignant et prédictions
+function agreement(teacher, predicted) {
+  const n = teacher.length;
+  const err = teacher.map((t, i) => predicted[i] - t);
+  return {
+    mae: Number((err.reduce((s, e) => s + Math.abs(e), 0) / n).toFixed(2)),
+    rmse: Number(Math.sqrt(err.reduce((s, e) => s + e * e, 0) / n).toFixed(2)),
+    qwk: quadraticWeightedKappa(teacher, predicted)
+  };
+}
+
+/**
+ * Ajuste pondérations et constantes d’un barème sur des copies notées.
+ * @param {object} p
+ * @param {{ text: string, score: number, expectedAnswer?: string, expectedAnswers?: Array, expectedLang?: string, keywords?: string[] }[]} p.samples
+ *        notes ramenées sur 0..100
+ * @param {object} p.baseRubric - barème normalisé de départ (voir rubricRegistry.js)
+ * @param {object} [p.analysisOptions] - options transmises à analyzeText (ltApiKey, grammarBackend…)
+ * @param {number} [p.concurrency]
+ * @param {(analysed: number, total: number) => void} [p.onProgress] - après chaque copie analysée
+ * @returns {Promise<{ used: number, excluded: object[], before: object, after: object, weights: object, scoring: object, warnings: string[] }>}
+ */
+export async function calibrateRubric({ samples, baseRubric, analysisOptions = {}, concurrency = 4, onProgress = null }) {
+  let done = 0;
+  const analysed = await mapWithConcurrency(samples, concurrency, async (s, index) => {
+    try {
+      const result = await analyzeText({
+        text: s.text,
+        expectedAnswer: s.expectedAnswer || "",
+        expectedAnswers: s.expectedAnswers || [],
+        expectedLang: s.expectedLang || "",
+        keywords: s.keywords || [],
+        rubric: baseRubric,
+        ...analysisOptions
+      });
+      // Copie notée par un correcteur de repli (ou non vérifiée) : caractéristiques non comparables aux autres
+      const { status, backend } = result.grammarChecker;
+      if (status === "unavailable" || result.grammarScore === null) return { index, excluded: "grammar_unchecked" };
+      if (status !== "ok") return { index, excluded: "grammar_fallback", message: `correcteur de repli : ${backend}` };
+      return { index, score: s.score, before: result.rubric.overall, features: featuresOf(result) };
+    } catch (err) {
+      return { index, excluded: "analysis_failed", message: err?.message || "Unknown error" };
+    } finally {
+      onProgress?.(++done, samples.length);
+    }
+  });
+
+  const excluded = analysed.filter(a => a.excluded)
+    .map(({ index, excluded: reason, message }) => ({ index, reason, ...(message ? { message } : {}) }));
+  const rows = analysed.filter(a => !a.excluded);
+  const warnings = [];
+  if (rows.length < 2) {
+    return { used: rows.length, excluded, before: null, after: null, weights: null, scoring: null, warnings: ["Trop peu de copies exploitables."] };
+  }
+
+  const y = rows.map(r => r.score);
+  const column = (axis, scoring) => rows.map(r => axisScore(axis, r.features, scoring));
+
+  // Point de départ : constantes et pondérations du barème de base
+  let scoring = effectiveScoring(baseRubric);
+  const columns = Object.fromEntries(AXES.map(a => [a, column(a, scoring)]));
+  const totalWeight = AXES.reduce((s, a) => s + (baseRubric.weights[a] || 0), 0);
+  let beta = AXES.map(a => (totalWeight ? (baseRubric.weights[a] || 0) / totalWeight : 1 / AXES.length));
+  let best = fitWeights(AXES.map(a => columns[a]), y, beta);
+  beta = best.beta;
+
+  // Recherche par coordonnées sur les constantes (chaque constante ne modifie qu’un axe)
+  for (let pass = 0; pass < SEARCH_PASSES; pass++) {
+    for (const [key, { axis, values }] of Object.entries(GRID)) {
+      for (const value of values) {
+        if (value === scoring[key]) continue;
+        const candidate = { ...scoring, [key]: value };
+        const col = column(axis, candidate);
+        const fit = fitWeights(AXES.map(a => (a === axis ? col : columns[a])), y, beta);
+        if (fit.sse < best.sse - 1e-9) {
+          best = fit;
+          beta = fit.beta;
+          scoring = candidate;
+          columns[axis] = col;
+        }
+      }
+    }
+  }
+
+  const percent = toPercent(beta);
+  const weights = Object.fromEntries(AXES.map((a, i) => [a, percent[i]]));
+  const after = rows.map((_, i) => Math.round(AXES.reduce((s, a) => s + columns[a][i] * weights[a], 0) / 100));
+
+  if (columns.content.every(v => v === 0)) {
+    warnings.push("Aucune réponse de référence dans les copies : l’axe content n’a pas pu être calibré.");
+  }
+  if (rows.length < 30) warnings.push("Moins de 30 copies : ajustement peu fiable (accord mesuré sur les copies d’apprentissage).");
+
+  return {
+    used: rows.length,
+    excluded,
+    before: agreement(y, rows.map(r => r.before)),
+    after: agreement(y, after),
+    weights,
+    scoring,
+    warnings
+  };
+}
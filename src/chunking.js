@@ -0,0 +1,70 @@
+// Découpage des textes longs en morceaux contigus (paragraphes, puis phrases, puis mots) pour les services
+// à taille limitée (LanguageTool, modèles d’embeddings). Chaque morceau est une sous-chaîne exacte du texte
+// d’origine avec son offset : offset d’origine = chunk.offset + offset dans le morceau.
+import { splitSentences } from "./complexity.js";
+
+// Segments [start, end[ de texte non vide séparés par des lignes blanches
+function paragraphs(text) {
+  const out = [];
+  const re = /\n[ \t\u00a0]*\n\s*/g;
+  let start = 0;
+  for (const m of text.matchAll(re)) {
+    if (m.index > start) out.push([start, m.index]);
+    start = m.index + m[0].length;
+  }
+  if (start < text.length) out.push([start, text.length]);
+  return out;
+}
+
+// Coupe [start, end[ aux espaces pour ne pas dépasser max (mot plus long que max : coupé net)
+function hardSplit(text, start, end, max) {
+  const out = [];
+  while (end - start > max) {
+    const slice = text.slice(start, start + max);
+    const cut = slice.search(/\s\S*$/);
+    const stop = cut > 0 ? start + cut : start + max;
+    out.push([start, stop]);
+    start = stop;
+    while (start < end && /\s/.test(text[start])) start++;
+  }
+  if (end > start) out.push([start, end]);
+  return out;
+}
+
+// Segments d’au plus max caractères : paragraphe entier si possible, sinon ses phrases, sinon des mots
+function units(text, max, lang) {
+  const out = [];
+  for (const [ps, pe] of paragraphs(text)) {
+    if (pe - ps <= max) { out.push([ps, pe]); continue; }
+    for (const s of splitSentences(text.slice(ps, pe), lang)) {
+      const start = ps + s.offset;
+      out.push(...hardSplit(text, start, start + s.text.length, max));
+    }
+  }
+  return out;
+}
+
+/**
+ * Découpe un texte en morceaux d’au plus `maxChars` caractères, regroupant les paragraphes / phrases consécutifs.
+ * Un texte assez court est renvoyé tel quel (un seul morceau, offset 0).
+ * @param {string} text
+ * @param {number} maxChars
+ * @param {string} [lang] - ISO-639-1 (segmentation en phrases)
+ * @returns {{ text: string, offset: number }[]}
+ */
+export function chunkText(text, maxChars, lang) {
+  const t = text || "";
+  if (!(maxChars > 0) || t.length <= maxChars) return [{ text: t, offset: 0 }];
+
+  const chunks = [];
+  let cur = null; // [start, end]
+  for (const [s, e] of units(t, maxChars, lang)) {
+    if (cur && e - cur[0] <= maxChars) cur[1] = e;
+    else {
+      if (cur) chunks.push(cur);
+      cur = [s, e];
+    }
+  }
+  if (cur) chunks.push(cur);
+  return chunks.map(([s, e]) => ({ text: t.slice(s, e), offset: s }));
+}
@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+// Correction hors-ligne en ligne de commande (sans serveur HTTP), via la bibliothèque (lib.js) :
+//   analyse-texte grade <entrées…> [--exercise ex.json] [--rubric id] [--format csv|jsonl] [--output rapport.csv]
+// Entrées : fichiers texte (une copie par fichier), dossiers (fichiers .txt / .md, récursivement),
+// fichiers .jsonl ou "-" (entrée standard) : une copie par ligne { id?, text, expectedAnswer?, rubricId?, … }.
+// Rapport sur la sortie standard (ou --output) ; progression et bilan sur la sortie d’erreur.
+// Code de sortie : 0 = toutes les copies notées, 1 = au moins une copie en erreur, 2 = usage ou configuration invalide.
+
+import "dotenv/config";
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import readline from "readline";
+import { parseArgs } from "util";
+import { analyzeText, loadExercise, listRubrics, GENRES } from "./lib.js";
+import { formatCsv } from "./utils/csv.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+
+const USAGE = `Usage : analyse-texte grade <fichier|dossier|copies.jsonl|-> … [options]
+
+Options :
+  --exercise <ex.json>      exercice (format de la banque) : références, mots-clés, eval, barème, langue
+  --rubric <id>             barème (défaut DEFAULT_RUBRIC_ID)
+  --lang <xx>               langue attendue (fr, en, es, de…)
+  --genre <genre>           conventions vérifiées : ${[...GENRES, "none"].join(" | ")}
+  --locale <xx>             langue des commentaires (fr, en, es, de)
+  --grammar-backend <list>  correcteur(s), ex. "rules" pour travailler sans réseau
+  --format <csv|jsonl>      format du rapport (défaut : extension de --output, sinon csv)
+  --output, -o <fichier>    fichier du rapport (défaut : sortie standard)
+  --separator <sep>         séparateur CSV : "," (défaut) ou ";"
+  --ext <liste>             extensions lues dans les dossiers (défaut .txt,.md)
+  --concurrency <n>         copies analysées en parallèle (défaut 2)
+  --quiet, -q               sans progression
+`;
+
+const DEFAULT_EXTENSIONS = ".txt,.md";
+const DEFAULT_CONCURRENCY = 2;
+// Champs d’une ligne JSONL transmis à analyzeText (prioritaires sur les options de la ligne de commande,
+// mais pas sur --exercise : une ligne portant un champ fourni par l’exercice est refusée, voir exerciseFields)
+const ITEM_FIELDS = ["expectedAnswer", "expectedAnswers", "expectedLang", "keywords", "eval", "rubricId", "genre", "locale"];
+const AXES = ["content", "organization", "lexis", "grammar", "mechanics", "complexity"];
+const CSV_COLUMNS = [
+  "id", "source", "lang", "overall", "band", "cefr", ...AXES,
+  "contentScore", "isCorrect", "grammarErrors", "spellingErrors", "grammarChecker", "summary", "improvements", "error"
+];
+
+function fail(message) {
+  process.stderr.write(`analyse-texte : ${message}\n`);
+  process.exit(2);
+}
+
+// Champs remplacés par l’exercice (voir lib.js) : configuration d’évaluation, et langue / barème / genre s’il les définit
+const exerciseFields = exercise => [
+  "expectedAnswer", "expectedAnswers", "keywords", "eval",
+  ...["expectedLang", "rubricId", "genre"].filter(k => exercise[k])
+];
+
+// Erreur de lib.js (message + details éventuels) en une ligne
+const describe = err =>
+  [err?.message || "Unknown error", ...(err?.details || []).map(d => `${d.path} ${d.message}`)].join(" ; ");
+
+// Fichiers d’un dossier (récursif, ordre alphabétique) ayant une des extensions
+async function listFiles(dir, extensions) {
+  const entries = (await fsp.readdir(dir, { withFileTypes: true })).sort((a, b) => a.name.localeCompare(b.name));
+  const files = [];
+  for (const e of entries) {
+    const p = path.join(dir, e.name);
+    if (e.isDirectory()) files.push(...await listFiles(p, extensions));
+    else if (extensions.includes(path.extname(e.name).toLowerCase())) files.push(p);
+  }
+  return files;
+}
+
+async function textItem(file, id) {
+  const text = (await fsp.readFile(file, "utf8")).replace(/^\uFEFF/, "");
+  return { id: id.split(path.sep).join("/"), source: file, text, options: {} };
+}
+
+// Une copie par ligne ; lignes illisibles conservées comme copies en erreur
+async function readJsonl(input, source, items) {
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of rl) {
+    n++;
+    if (!line.trim()) continue;
+    const ref = `${source}:${n}`;
+    let rec;
+    try { rec = JSON.parse(line); } catch { rec = null; }
+    if (!rec || typeof rec !== "object" || Array.isArray(rec)) {
+      items.push({ id: ref, source: ref, error: "Ligne JSON invalide (objet attendu)." });
+      continue;
+    }
+    const options = Object.fromEntries(ITEM_FIELDS.filter(k => rec[k] !== undefined).map(k => [k, rec[k]]));
+    items.push({ id: String(rec.id ?? rec.submissionId ?? rec.learnerId ?? ref), source: ref, text: rec.text, options });
+  }
+}
+
+async function collect(inputs, extensions) {
+  const items = [];
+  for (const input of inputs) {
+    if (input === "-") {
+      await readJsonl(process.stdin, "stdin", items);
+      continue;
+    }
+    const stat = await fsp.stat(input).catch(() => null);
+    if (!stat) fail(`entrée introuvable : ${input}`);
+    if (stat.isDirectory()) {
+      for (const file of await listFiles(input, extensions)) items.push(await textItem(file, path.relative(input, file)));
+    } else if (path.extname(input).toLowerCase() === ".jsonl") {
+      await readJsonl(fs.createReadStream(input, "utf8"), input, items);
+    } else {
+      items.push(await textItem(input, path.basename(input)));
+    }
+  }
+  return items;
+}
+
+// Ligne du rapport CSV : scores, palier, niveau, commentaires résumés
+function csvRow({ id, source, result, error }) {
+  if (!result) return { id, source, error };
+  const { rubric, content, details, feedback } = result;
+  return {
+    id,
+    source,
+    lang: result.lang,
+    overall: rubric.overall,
+    band: rubric.band,
+    cefr: rubric.cefr.level,
+    ...Object.fromEntries(AXES.map(a => [a, rubric.breakdown[a]])),
+    contentScore: content.contentScore,
+    isCorrect: content.isCorrect,
+    grammarErrors: details.grammarErrors,
+    spellingErrors: details.spellingErrors,
+    grammarChecker: result.grammarChecker.status,
+    summary: feedback.summary,
+    improvements: feedback.improvements.map(i => i.message).join(" | ")
+  };
+}
+
+const jsonlRow = ({ id, source, result, error, details }) =>
+  JSON.stringify(result ? { id, source, ...result } : { id, source, error, ...(details?.length ? { details } : {}) }) + "\n";
+
+async function grade(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        exercise: { type: "string" },
+        rubric: { type: "string" },
+        lang: { type: "string" },
+        genre: { type: "string" },
+        locale: { type: "string" },
+        "grammar-backend": { type: "string" },
+        format: { type: "string" },
+        output: { type: "string", short: "o" },
+        separator: { type: "string", default: "," },
+        ext: { type: "string", default: DEFAULT_EXTENSIONS },
+        concurrency: { type: "string", default: String(DEFAULT_CONCURRENCY) },
+        quiet: { type: "boolean", short: "q", default: false },
+        help: { type: "boolean", short: "h", default: false }
+      }
+    });
+  } catch (e) {
+    fail(e.message);
+  }
+  const { values: o, positionals: inputs } = parsed;
+  if (o.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!inputs.length) fail(`aucune entrée.\n\n${USAGE}`);
+
+  const format = o.format || (o.output && path.extname(o.output).toLowerCase() === ".jsonl" ? "jsonl" : "csv");
+  if (!["csv", "jsonl"].includes(format)) fail(`format inconnu '${format}' (csv, jsonl).`);
+  if (![",", ";"].includes(o.separator)) fail(`séparateur invalide '${o.separator}' ("," ou ";").`);
+  const concurrency = Number(o.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) fail(`--concurrency invalide '${o.concurrency}'.`);
+  if (o.genre && ![...GENRES, "none"].includes(o.genre)) fail(`genre inconnu '${o.genre}' (${[...GENRES, "none"].join(", ")}).`);
+
+  // Configuration commune vérifiée avant de lire les copies
+  let exercise = null;
+  if (o.exercise) {
+    try {
+      exercise = JSON.parse(await fsp.readFile(o.exercise, "utf8"));
+      loadExercise(exercise);
+    } catch (e) {
+      fail(`exercice ${o.exercise} : ${describe(e)}`);
+    }
+  }
+  const rubricId = exercise?.rubricId ?? o.rubric;
+  const rubricIds = listRubrics().map(r => r.id);
+  if (rubricId && !rubricIds.includes(rubricId)) fail(`barème '${rubricId}' inconnu (disponibles : ${rubricIds.join(", ")}).`);
+
+  const extensions = o.ext.split(",").map(e => e.trim().toLowerCase()).filter(Boolean).map(e => (e.startsWith(".") ? e : `.${e}`));
+  const items = await collect(inputs, extensions);
+  if (!items.length) fail("aucune copie trouvée.");
+
+  const overridden = exercise ? exerciseFields(exercise) : [];
+  let done = 0;
+  const results = await mapWithConcurrency(items, concurrency, async item => {
+    let row;
+    const conflicts = Object.keys(item.options || {}).filter(k => overridden.includes(k));
+    if (item.error) {
+      row = item;
+    } else if (conflicts.length) {
+      row = { id: item.id, source: item.source, error: `Champ(s) ${conflicts.join(", ")} déjà fourni(s) par l’exercice (--exercise).` };
+    } else {
+      try {
+        const result = await analyzeText({
+          expectedLang: o.lang,
+          rubricId: o.rubric,
+          genre: o.genre,
+          locale: o.locale,
+          grammarBackend: o["grammar-backend"],
+          ...item.options,
+          text: item.text,
+          exercise
+        });
+        row = { id: item.id, source: item.source, result };
+      } catch (e) {
+        row = { id: item.id, source: item.source, error: describe(e), details: e?.details };
+      }
+    }
+    done++;
+    if (!o.quiet) {
+      const status = row.result ? `${row.result.rubric.overall}/100 (${row.result.rubric.cefr.level})` : `erreur : ${row.error}`;
+      process.stderr.write(`[${done}/${items.length}] ${item.id} ${status}\n`);
+    }
+    return row;
+  });
+
+  const report = format === "csv"
+    ? formatCsv(results.map(csvRow), CSV_COLUMNS, o.separator)
+    : results.map(jsonlRow).join("");
+  if (o.output) await fsp.writeFile(o.output, report);
+  else await new Promise(resolve => process.stdout.write(report, resolve));
+
+  const failed = results.filter(r => !r.result).length;
+  if (!o.quiet) {
+    process.stderr.write(`${results.length - failed} copie(s) notée(s), ${failed} en erreur${o.output ? ` → ${o.output}` : ""}.\n`);
+  }
+  return failed ? 1 : 0;
+}
+
+async function main() {
+  const [command, ...argv] = process.argv.slice(2);
+  if (!command || command === "--help" || command === "-h") {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (command !== "grade") fail(`commande inconnue '${command}'.\n\n${USAGE}`);
+  return grade(argv);
+}
+
+// Sortie explicite : les connexions HTTP gardées ouvertes (LanguageTool, Hugging Face) ne retiennent pas le processus
+main().then(
+  code => process.exit(code),
+  err => {
+    process.stderr.write(`analyse-texte : ${err?.stack || err}\n`);
+    process.exit(2);
+  }
+);
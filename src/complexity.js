@@ -0,0 +1,141 @@
+// Complexité syntaxique et lisibilité
+// - segmentation en phrases (Intl.Segmenter, repli sur la ponctuation)
+// - longueur des phrases : moyenne, variance, coefficient de variation
+// - subordonnées repérées par subordonnants (par langue)
+// - indices de lisibilité : Flesch–Kincaid (EN), Kandel–Moles (FR), Fernández Huerta (ES)
+import { wordTokens, isCjk } from "./utils/tokenize.js";
+
+const SUBORDINATORS = {
+  fr: ["que", "qui", "dont", "où", "parce que", "puisque", "lorsque", "quand", "si", "bien que", "pour que", "afin que", "alors que", "tandis que", "quoique", "avant que", "sans que"],
+  en: ["that", "which", "who", "whom", "whose", "because", "although", "though", "when", "while", "if", "since", "unless", "whereas", "until", "so that"],
+  es: ["que", "quien", "cuyo", "donde", "porque", "aunque", "cuando", "si", "mientras", "para que", "ya que", "puesto que"],
+  de: ["dass", "weil", "wenn", "obwohl", "als", "ob", "damit", "während", "nachdem", "bevor", "welcher", "welche", "welches"],
+  it: ["che", "cui", "perché", "quando", "se", "sebbene", "mentre", "affinché", "benché", "dove"],
+  pt: ["que", "porque", "quando", "se", "embora", "enquanto", "onde", "para que", "cujo"]
+};
+
+// Voyelles (y compris accentuées) pour le comptage de syllabes
+const VOWELS = "aeiouyàâäéèêëîïôöùûüœæáíóúý";
+
+const segmenters = new Map();
+function sentenceSegmenter(lang) {
+  if (typeof Intl?.Segmenter !== "function") return null;
+  if (!segmenters.has(lang)) {
+    try {
+      segmenters.set(lang, new Intl.Segmenter(lang && lang !== "und" ? lang : undefined, { granularity: "sentence" }));
+    } catch {
+      segmenters.set(lang, new Intl.Segmenter(undefined, { granularity: "sentence" }));
+    }
+  }
+  return segmenters.get(lang);
+}
+
+/**
+ * Phrases d’un texte (avec offset dans le texte d’origine).
+ * @returns {{ text: string, offset: number }[]}
+ */
+export function splitSentences(text, lang) {
+  const t = text || "";
+  const seg = sentenceSegmenter(lang);
+  const raw = seg
+    ? [...seg.segment(t)].map(s => ({ text: s.segment, offset: s.index }))
+    : [...t.matchAll(/[^.!?。！？]+[.!?。！？]*/gu)].map(m => ({ text: m[0], offset: m.index }));
+  return raw
+    .map(s => {
+      const lead = s.text.length - s.text.trimStart().length;
+      return { text: s.text.trim(), offset: s.offset + lead };
+    })
+    .filter(s => /[\p{L}\p{N}]/u.test(s.text));
+}
+
+// Syllabes approximées : groupes de voyelles, avec e muet final (fr/en)
+function syllables(word, lang) {
+  let w = word.toLowerCase();
+  if (lang === "en" && w.length > 3) w = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, m => m.slice(0, -1)).replace(/^y/, "");
+  if (lang === "fr" && w.length > 3) w = w.replace(/(?:es|ent|e)$/, "");
+  const groups = w.match(new RegExp(`[${VOWELS}]+`, "g"));
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function countSubordinators(lower, lang) {
+  let n = 0;
+  for (const s of SUBORDINATORS[lang] || []) {
+    const re = new RegExp(`(?<![\\p{L}'’])${s}(?![\\p{L}])`, "gu");
+    n += (lower.match(re) || []).length;
+  }
+  // élisions FR : qu’il, lorsqu’elle…
+  if (lang === "fr") n += (lower.match(/(?<![\p{L}])(?:qu|lorsqu|puisqu|quoiqu)['’]/gu) || []).length;
+  return n;
+}
+
+function readability(lang, wordsPerSentence, syllablesPerWord) {
+  if (lang === "en") {
+    return {
+      index: "flesch_kincaid_grade",
+      value: Number((0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59).toFixed(1)),
+      readingEase: Number((206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord).toFixed(1))
+    };
+  }
+  if (lang === "fr") {
+    return {
+      index: "kandel_moles",
+      value: Number((207 - 1.015 * wordsPerSentence - 73.6 * syllablesPerWord).toFixed(1))
+    };
+  }
+  if (lang === "es") {
+    // P = syllabes / 100 mots, F = phrases / 100 mots
+    const P = syllablesPerWord * 100;
+    const F = wordsPerSentence ? 100 / wordsPerSentence : 0;
+    return {
+      index: "fernandez_huerta",
+      value: Number((206.84 - 0.6 * P - 1.02 * F).toFixed(1))
+    };
+  }
+  return null;
+}
+
+const clamp100 = x => Math.max(0, Math.min(100, Math.round(x)));
+
+/**
+ * @param {string} text
+ * @param {string} lang - ISO-639-1
+ */
+export function complexityMetrics(text, lang = "fr") {
+  const sentences = splitSentences(text, lang);
+  const lengths = sentences.map(s => wordTokens(s.text, lang).length).filter(n => n > 0);
+  const n = lengths.length;
+  const words = lengths.reduce((a, b) => a + b, 0);
+
+  const mean = n ? words / n : 0;
+  const variance = n ? lengths.reduce((a, l) => a + (l - mean) ** 2, 0) / n : 0;
+  const cv = mean ? Math.sqrt(variance) / mean : 0;
+
+  const lower = (text || "").toLowerCase();
+  const subordinateClauses = SUBORDINATORS[lang] ? countSubordinators(lower, lang) : null;
+  const clausesPerSentence = subordinateClauses !== null && n ? subordinateClauses / n : null;
+
+  let read = null;
+  if (!isCjk(lang) && words) {
+    const syl = wordTokens(text, lang).reduce((a, w) => a + syllables(w, lang), 0);
+    read = readability(lang, mean, syl / words);
+  }
+
+  // Score 0..100 : longueur moyenne (15 mots ⇒ 100), subordination (0.6 / phrase ⇒ 100), variation (CV 0.4 ⇒ 100)
+  // CJK : longueur en mots segmentés, cible identique faute de mieux
+  const lengthScore = clamp100((mean / 15) * 100);
+  const variationScore = n > 1 ? clamp100((cv / 0.4) * 100) : 0;
+  const subScore = clausesPerSentence === null ? null : clamp100((clausesPerSentence / 0.6) * 100);
+  const complexityScore = subScore === null
+    ? clamp100(lengthScore * 0.7 + variationScore * 0.3)
+    : clamp100(lengthScore * 0.4 + subScore * 0.4 + variationScore * 0.2);
+
+  return {
+    sentences: n,
+    meanSentenceLength: Number(mean.toFixed(1)),
+    sentenceLengthVariance: Number(variance.toFixed(1)),
+    subordinateClauses,
+    clausesPerSentence: clausesPerSentence === null ? null : Number(clausesPerSentence.toFixed(2)),
+    readability: read,
+    complexityScore
+  };
+}
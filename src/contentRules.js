@@ -0,0 +1,304 @@
+// Règles de contenu déclaratives (eval.rules) : chaque règle de premier niveau rapporte weight × score (0..1)
+// et produit une explication. Nœuds (champ type) :
+// - concept  : { terms[], lemma? (true), negation? (true) } — un des termes présent (formes fléchies si lemma,
+//              mentions niées ignorées si negation : « pas de sucre » ne valide pas « sucre »)
+// - group    : { items[], min? } — crédit partiel : trouvés / (min ou nombre d’items), plafonné à 1
+// - sequence : { items[] } — concepts / regex attendus dans cet ordre ; crédit partiel selon la part dans l’ordre
+// - all | any : { items[] } — ET (minimum) / OU (maximum) des scores
+// - not      : { item } — 1 − score
+// - regex    : { pattern, flags? ("i") } — expression contrôlée et exécutée avec délai (voir utils/safeRegex.js)
+// Champs de premier niveau : id?, weight? (10), explain? (consigne rappelée à l’élève si la règle n’est pas satisfaite)
+
+import { frenchCandidates, englishCandidates } from "./lemmatize.js";
+import { isCjk } from "./utils/tokenize.js";
+import { checkRegex, safeRegexSearch } from "./utils/safeRegex.js";
+
+const DEFAULT_WEIGHT = 10;
+const MAX_RULES = 50;
+const MAX_ITEMS = 50;
+const MAX_DEPTH = 5;
+const NEGATION_WINDOW = 3; // mots examinés avant une mention (sans franchir la ponctuation)
+
+const NODE_KEYS = {
+  concept: ["terms", "lemma", "negation"],
+  group: ["items", "min"],
+  sequence: ["items"],
+  all: ["items"],
+  any: ["items"],
+  not: ["item"],
+  regex: ["pattern", "flags"]
+};
+const RULE_KEYS = ["type", "id", "weight", "explain"];
+
+const NEGATORS = {
+  fr: ["ne", "pas", "jamais", "aucun", "aucune", "sans", "ni", "non", "rien"],
+  en: ["not", "no", "never", "without", "nor", "none", "cannot"],
+  es: ["no", "nunca", "sin", "ni", "jamás", "tampoco", "ningún", "ninguna"],
+  de: ["nicht", "kein", "keine", "keinen", "keinem", "keiner", "nie", "niemals", "ohne"]
+};
+
+const fold = s => s.toLowerCase().normalize("NFKD").replace(/\p{Diacritic}/gu, "");
+
+// Mots (avec offsets) et ponctuation forte, qui borne la recherche de négation
+function tokenize(text) {
+  return [...(text || "").matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*|[.!?;:,]/gu)]
+    .map(m => ({ word: m[0].toLowerCase(), offset: m.index, punct: !/[\p{L}\p{N}]/u.test(m[0]) }));
+}
+
+function isNegator(word, lang) {
+  if ((NEGATORS[lang] || []).includes(word)) return true;
+  if (lang === "fr") return /^n['’]/.test(word);
+  if (lang === "en") return /n['’]t$/.test(word);
+  return false;
+}
+
+// Formes comparables d’un mot : lui-même, et ses lemmes candidats si lemma (sans accents)
+function formsOf(word, lang, lemma, cache) {
+  const key = `${lemma ? 1 : 0}:${word}`;
+  if (cache.has(key)) return cache.get(key);
+  let forms = [word];
+  if (lemma && lang === "fr") forms = frenchCandidates(word);
+  else if (lemma && lang === "en") forms = englishCandidates(word)[0] || [word];
+  const out = new Set(forms.map(fold));
+  cache.set(key, out);
+  return out;
+}
+
+function sameWord(a, b, ctx, lemma) {
+  const fa = fold(a);
+  const fb = fold(b);
+  return fa === fb || formsOf(a, ctx.lang, lemma, ctx.cache).has(fb) || formsOf(b, ctx.lang, lemma, ctx.cache).has(fa);
+}
+
+// Première mention du terme après `after` (offset) ; { offset, negated } des mentions examinées
+function findTerm(term, ctx, node, after) {
+  const lemma = node.lemma !== false;
+  const negation = node.negation !== false;
+  if (isCjk(ctx.lang)) {
+    const i = ctx.text.toLowerCase().indexOf(term.toLowerCase(), after + 1);
+    return { offset: i, negated: false };
+  }
+  const words = tokenize(term).filter(t => !t.punct).map(t => t.word);
+  if (!words.length) return { offset: -1, negated: false };
+  const toks = ctx.tokens;
+  let negated = false;
+  for (let i = 0; i + words.length <= toks.length; i++) {
+    if (toks[i].offset <= after) continue;
+    if (!words.every((w, k) => !toks[i + k].punct && sameWord(toks[i + k].word, w, ctx, lemma))) continue;
+    if (negation) {
+      let neg = false;
+      for (let j = i - 1, n = 0; j >= 0 && n < NEGATION_WINDOW && !toks[j].punct; j--, n++) {
+        if (isNegator(toks[j].word, ctx.lang)) { neg = true; break; }
+      }
+      if (neg) { negated = true; continue; }
+    }
+    return { offset: toks[i].offset, negated };
+  }
+  return { offset: -1, negated };
+}
+
+// Évalue un nœud : { value 0..1, offset (première occurrence retenue, -1 sinon) } ; détails accumulés dans ctx
+function evalNode(node, ctx, after = -1) {
+  switch (node.type) {
+    case "concept": {
+      let negated = false;
+      for (const term of node.terms) {
+        const hit = findTerm(term, ctx, node, after);
+        if (hit.offset >= 0) {
+          ctx.matched.push(term);
+          return { value: 1, offset: hit.offset };
+        }
+        negated ||= hit.negated;
+      }
+      (negated ? ctx.negated : ctx.missing).push(node.terms[0]);
+      return { value: 0, offset: -1 };
+    }
+    case "regex": {
+      const { index, timedOut } = safeRegexSearch(node.pattern, node.flags ?? "i", ctx.text, after + 1);
+      if (timedOut) ctx.timedOut = true;
+      if (index < 0) ctx.missing.push(`/${node.pattern}/`);
+      return { value: index >= 0 ? 1 : 0, offset: index };
+    }
+    case "group": {
+      const found = node.items.filter(item => evalNode(item, ctx).value >= 1).length;
+      return { value: Math.min(1, found / (node.min || node.items.length)), offset: -1 };
+    }
+    case "sequence": {
+      // item absent à sa place : « hors ordre » s’il figure plus tôt dans le texte, sinon manquant
+      let pos = -1;
+      let inOrder = 0;
+      for (const item of node.items) {
+        const sub = { ...ctx, matched: [], missing: [], negated: [] };
+        const r = evalNode(item, sub, pos);
+        if (r.offset >= 0) {
+          inOrder++;
+          pos = r.offset;
+          ctx.matched.push(...sub.matched);
+        } else if (pos >= 0 && evalNode(item, { ...sub, matched: [] }, -1).offset >= 0) {
+          ctx.outOfOrder = true;
+        } else {
+          ctx.missing.push(...sub.missing);
+          ctx.negated.push(...sub.negated);
+        }
+        ctx.timedOut ||= sub.timedOut;
+      }
+      return { value: inOrder / node.items.length, offset: -1 };
+    }
+    case "all":
+      return { value: Math.min(...node.items.map(item => evalNode(item, ctx).value)), offset: -1 };
+    case "any":
+      return { value: Math.max(...node.items.map(item => evalNode(item, ctx).value)), offset: -1 };
+    case "not":
+      return { value: 1 - evalNode(node.item, ctx).value, offset: -1 };
+    default:
+      return { value: 0, offset: -1 };
+  }
+}
+
+/**
+ * Évalue les règles de premier niveau.
+ * @param {string} text
+ * @param {object[]} rules - règles validées par validateRules
+ * @param {string} lang
+ * @returns {object[]} une raison par règle : { rule: "rules", id, type, score, weight, points, explain, matched, missing, negated }
+ */
+export function evaluateRules(text, rules, lang = "fr") {
+  const tokens = tokenize(text);
+  const cache = new Map();
+  return rules.map((rule, index) => {
+    const ctx = { text: text || "", lang, tokens, cache, matched: [], missing: [], negated: [], timedOut: false, outOfOrder: false };
+    const { value } = evalNode(rule, ctx);
+    const weight = rule.weight ?? DEFAULT_WEIGHT;
+    return {
+      rule: "rules",
+      id: rule.id ?? index,
+      type: rule.type,
+      score: Math.round(value * 100),
+      weight,
+      points: Math.round(value * weight),
+      explain: rule.explain || null,
+      matched: [...new Set(ctx.matched)],
+      missing: [...new Set(ctx.missing)],
+      negated: [...new Set(ctx.negated)],
+      ...(rule.type === "sequence" ? { inOrder: !ctx.outOfOrder } : {}),
+      ...(ctx.timedOut ? { timedOut: true } : {})
+    };
+  });
+}
+
+/**
+ * Nombre de nœuds regex (toutes profondeurs) des règles, pour plafonner le coût d’une configuration.
+ * @param {object[]} rules - règles validées par validateRules
+ * @returns {number}
+ */
+export function countRegexNodes(rules) {
+  const count = node =>
+    !node || typeof node !== "object" ? 0
+      : node.type === "regex" ? 1
+      : (Array.isArray(node.items) ? node.items.reduce((n, item) => n + count(item), 0) : 0) + count(node.item);
+  return Array.isArray(rules) ? rules.reduce((n, rule) => n + count(rule), 0) : 0;
+}
+
+/**
+ * Raison sans le détail des notions (termes, expressions) : nombres seulement, pour une réponse où la
+ * configuration vient de la banque d’exercices et ne doit pas être dévoilée.
+ * @param {object} reason - raison produite par evaluateRules
+ * @returns {object} { …, matchedCount, missingCount, negatedCount } sans matched / missing / negated
+ */
+export function redactRuleReason({ matched, missing, negated, ...reason }) {
+  return { ...reason, matchedCount: matched.length, missingCount: missing.length, negatedCount: negated.length };
+}
+
+// Vérification récursive d’un nœud ; erreurs ajoutées à `errors` ({ path, message })
+function checkNode(node, path, depth, errors, topLevel = false) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    errors.push({ path, message: "doit être un objet" });
+    return;
+  }
+  const keys = NODE_KEYS[node.type];
+  if (!keys) {
+    errors.push({ path: `${path}/type`, message: `type inconnu (${Object.keys(NODE_KEYS).join(", ")})` });
+    return;
+  }
+  if (depth > MAX_DEPTH) {
+    errors.push({ path, message: `imbrication trop profonde (max ${MAX_DEPTH})` });
+    return;
+  }
+  const allowed = topLevel ? [...RULE_KEYS, ...keys] : ["type", ...keys];
+  for (const k of Object.keys(node)) {
+    if (!allowed.includes(k)) errors.push({ path: `${path}/${k}`, message: "propriété non autorisée" });
+  }
+  const checkItems = (items, only = null) => {
+    if (!Array.isArray(items) || !items.length || items.length > MAX_ITEMS) {
+      errors.push({ path: `${path}/items`, message: `tableau de 1 à ${MAX_ITEMS} nœuds requis` });
+      return;
+    }
+    items.forEach((item, i) => {
+      if (only && item && !only.includes(item.type)) {
+        errors.push({ path: `${path}/items/${i}/type`, message: `doit valoir ${only.join(" ou ")}` });
+      } else {
+        checkNode(item, `${path}/items/${i}`, depth + 1, errors);
+      }
+    });
+  };
+
+  switch (node.type) {
+    case "concept":
+      if (!Array.isArray(node.terms) || !node.terms.length || node.terms.length > MAX_ITEMS ||
+          node.terms.some(t => typeof t !== "string" || !t.trim() || t.length > 100)) {
+        errors.push({ path: `${path}/terms`, message: `tableau de 1 à ${MAX_ITEMS} termes (100 caractères max) requis` });
+      }
+      for (const k of ["lemma", "negation"]) {
+        if (node[k] !== undefined && typeof node[k] !== "boolean") errors.push({ path: `${path}/${k}`, message: "booléen attendu" });
+      }
+      break;
+    case "regex": {
+      const err = checkRegex(node.pattern, node.flags ?? "i");
+      if (err) errors.push({ path: `${path}/pattern`, message: err });
+      break;
+    }
+    case "group":
+      checkItems(node.items);
+      if (node.min !== undefined && (!Number.isInteger(node.min) || node.min < 1 || node.min > (node.items?.length || 0))) {
+        errors.push({ path: `${path}/min`, message: "entier entre 1 et le nombre d’items attendu" });
+      }
+      break;
+    case "sequence":
+      checkItems(node.items, ["concept", "regex"]);
+      break;
+    case "all":
+    case "any":
+      checkItems(node.items);
+      break;
+    case "not":
+      checkNode(node.item, `${path}/item`, depth + 1, errors);
+      break;
+  }
+
+  if (topLevel) {
+    if (node.weight !== undefined && (!Number.isFinite(node.weight) || node.weight < 0)) {
+      errors.push({ path: `${path}/weight`, message: "nombre ≥ 0 attendu" });
+    }
+    if (node.explain !== undefined && (typeof node.explain !== "string" || node.explain.length > 500)) {
+      errors.push({ path: `${path}/explain`, message: "texte de 500 caractères max attendu" });
+    }
+    if (node.id !== undefined && !(typeof node.id === "string" && node.id.length <= 100) && !Number.isInteger(node.id)) {
+      errors.push({ path: `${path}/id`, message: "chaîne (100 caractères max) ou entier attendu" });
+    }
+  }
+}
+
+/**
+ * Valide eval.rules.
+ * @param {unknown} rules
+ * @param {string} [path] - préfixe des chemins d’erreur
+ * @returns {{ path: string, message: string }[]} erreurs (vide si valide)
+ */
+export function validateRules(rules, path = "/eval/rules") {
+  if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+    return [{ path, message: `tableau de ${MAX_RULES} règles max attendu` }];
+  }
+  const errors = [];
+  rules.forEach((rule, i) => checkNode(rule, `${path}/${i}`, 1, errors, true));
+  return errors;
+}
@@ -1,12 +1,19 @@
 // Évaluation de contenu multilingue pour réponses ouvertes.
-// Modes : similarité (réponse type), mots-clés (all/any/banned), regex, contraintes longueur, verbe requis.
+// Modes : similarité (réponse(s) type), mots-clés (all/any/banned), regex, contraintes longueur, verbe requis,
+// règles déclaratives (rules : concepts lemmatisés, groupes, ordre, négation, combinaisons ; voir contentRules.js).
 // Retourne : { contentScore, isCorrect, reasons[] }
 
 import stringSimilarity from "string-similarity";
 import nlp from "compromise";
+import { normalizeReferences, bestReference } from "./references.js";
+import { isCjk, wordTokens } from "./utils/tokenize.js";
+import { checkRegex, safeRegexSearch } from "./utils/safeRegex.js";
+import { evaluateRules, validateRules, countRegexNodes } from "./contentRules.js";
 
-// --- normalisation légère sans dépendances lourdes
-function norm(s) {
+const MAX_PATTERNS = 20; // expressions par configuration : eval.regex + nœuds regex des règles
+
+// --- normalisation légère sans dépendances lourdes (réutilisée par plagiarism.js)
+export function norm(s) {
   return (s || "")
     .toLowerCase()
     .normalize("NFKD")
@@ -19,20 +26,6 @@ function tokens(s) {
   return norm(s).split(" ").filter(Boolean);
 }
 
-// --- petite liste stopwords minimale par langue (peut s’enrichir)
-const STOP = {
-  fr: ["le","la","les","un","une","des","de","du","et","en","à","au","aux","dans","pour","par","avec","sur","se","ce","cette","ces","est","sont"],
-  en: ["the","a","an","and","in","on","to","for","with","of","is","are","this","that","these","those"],
-  de: ["der","die","das","ein","eine","und","in","auf","zu","mit","von","ist","sind"],
-  es: ["el","la","los","las","un","una","y","en","de","para","con","es","son"],
-  ru: ["и","в","на","с","к","у","по","о","а","это","этот","эта","эти"],
-  zh: [], ja: [], ko: [] // on garde tout côté CJK
-};
-function filterStop(words, lang) {
-  const set = new Set(STOP[lang] || []);
-  return words.filter(w => !set.has(w));
-}
-
 // --- similarité 0..100
 function similarity100(a, b) {
   if (!a || !b) return 0;
@@ -51,6 +44,12 @@ function countKeywords(text, list = []) {
   return { found, total: list.length, pct: list.length ? Math.round((found/list.length)*100) : null };
 }
 
+/** Mots-clés de `list` absents du texte (même normalisation que l’évaluation) */
+export function missingKeywords(text, list = []) {
+  const base = norm(text);
+  return list.filter(k => k && !base.includes(norm(String(k)))).map(String);
+}
+
 // --- verbe requis (heuristique légère, compromise marche mieux en EN ; FR heuristique suffixes/auxiliaires)
 function hasVerb(text, lang) {
   const doc = nlp(text || "");
@@ -65,6 +64,33 @@ function hasVerb(text, lang) {
   return false;
 }
 
+/**
+ * Valide une configuration d’évaluation (expressions régulières et règles déclaratives).
+ * @param {object|null} evalCfg
+ * @returns {{ path: string, message: string }[]} erreurs (vide si valide)
+ */
+export function validateEvalConfig(evalCfg) {
+  if (evalCfg == null) return [];
+  if (typeof evalCfg !== "object" || Array.isArray(evalCfg)) return [{ path: "/eval", message: "doit être un objet" }];
+  const errors = [];
+  if (evalCfg.regex !== undefined) {
+    if (!Array.isArray(evalCfg.regex)) {
+      errors.push({ path: "/eval/regex", message: "tableau d’expressions attendu" });
+    } else {
+      evalCfg.regex.forEach((r, i) => {
+        const err = checkRegex(r);
+        if (err) errors.push({ path: `/eval/regex/${i}`, message: err });
+      });
+    }
+  }
+  if (evalCfg.rules !== undefined) errors.push(...validateRules(evalCfg.rules));
+  const patterns = (Array.isArray(evalCfg.regex) ? evalCfg.regex.length : 0) + countRegexNodes(evalCfg.rules);
+  if (patterns > MAX_PATTERNS) {
+    errors.push({ path: "/eval", message: `${patterns} expressions régulières (regex et règles), ${MAX_PATTERNS} au plus` });
+  }
+  return errors;
+}
+
 // --- évaluation principale
 export function evaluateAnswer(userText, evalCfg = {}, lang = "fr") {
   const reasons = [];
@@ -73,26 +99,35 @@ export function evaluateAnswer(userText, evalCfg = {}, lang = "fr") {
 
   const {
     expectedAnswer,                // string
+    expectedAnswers,               // [string | { text, weight?, partial?, label? }]
     similarityThreshold = 70,      // %
     keywords = { all: [], any: [], banned: [] },
     anyAtLeast = 1,
-    regex = [],                    // liste d'expressions (string ou RegExp)
+    regex = [],                    // liste d'expressions (string, voir validateEvalConfig)
+    rules = [],                    // règles déclaratives (voir contentRules.js)
     minWords = 0,
     maxWords = 0,
     requireVerb = false,
-    weights = { similarity: 60, all: 25, any: 15, regex: 20, length: 10, verb: 10, penaltyBanned: 30 }
+    weights = { similarity: 60, all: 25, any: 15, regex: 20, length: 10, verb: 10, penaltyBanned: 30 }  // rules : poids par règle
   } = evalCfg || {};
 
-  const tok = tokens(userText);
+  const tok = isCjk(lang) ? wordTokens(userText, lang) : tokens(userText);
   const wordCount = tok.length;
 
-  // 1) Similarité (optionnel)
-  if (expectedAnswer) {
-    const sim = similarity100(userText, expectedAnswer);
+  // 1) Similarité (optionnel) : meilleure référence, pondérée par son crédit
+  const refs = normalizeReferences(expectedAnswer, expectedAnswers);
+  if (refs.length) {
+    const scores = refs.map(r => ({ ...r, value: similarity100(userText, r.text) }));
+    const best = bestReference(scores, r => r.value);
+    const sim = best.value;
     const w = weights.similarity || 0;
     const pts = Math.round((sim / 100) * w);
     points += pts; maxPoints += w;
-    reasons.push({ rule: "similarity", value: sim, weight: w, points: pts, threshold: similarityThreshold });
+    reasons.push({
+      rule: "similarity", value: sim, weight: w, points: pts, threshold: similarityThreshold,
+      bestReference: best.ref.index,
+      references: scores.map(({ index, label, partial, weight, value }) => ({ index, label, partial, weight, value }))
+    });
   }
 
   // 2) Mots-clés obligatoires (all)
@@ -127,17 +162,27 @@ export function evaluateAnswer(userText, evalCfg = {}, lang = "fr") {
     }
   }
 
-  // 5) Regex (toutes doivent matcher si fournies)
+  // 5) Regex (toutes doivent matcher si fournies ; expression refusée ou trop lente = échec)
   if (regex?.length) {
     let ok = true;
+    let timedOut = false;
     for (const r of regex) {
-      const re = r instanceof RegExp ? r : new RegExp(r, "i");
-      if (!re.test(userText)) { ok = false; break; }
+      if (checkRegex(r)) { ok = false; break; }
+      const hit = safeRegexSearch(r, "i", userText);
+      if (hit.index < 0) { ok = false; timedOut = hit.timedOut; break; }
     }
     const w = weights.regex || 0;
     const pts = ok ? w : 0;
     points += pts; maxPoints += w;
-    reasons.push({ rule: "regex", ok, weight: w, points: pts });
+    reasons.push({ rule: "regex", ok, weight: w, points: pts, ...(timedOut ? { timedOut } : {}) });
+  }
+
+  // 5b) Règles déclaratives (une raison par règle, crédit partiel)
+  if (rules?.length) {
+    for (const r of evaluateRules(userText, rules, lang)) {
+      points += r.points; maxPoints += r.weight;
+      reasons.push(r);
+    }
   }
 
   // 6) Longueur (entre min/max si fournis)
@@ -164,10 +209,10 @@ export function evaluateAnswer(userText, evalCfg = {}, lang = "fr") {
   const contentScore = maxPoints > 0 ? Math.max(0, Math.min(100, Math.round((points / maxPoints) * 100))) : 0;
 
   // Règle « correct / incorrect »
-  // - si expectedAnswer: on exige sim >= threshold
-  // - sinon: on exige que ALL soit complet + ANY satisfaites + pas de banned + regex ok
+  // - si référence(s): on exige sim (meilleure référence, crédit appliqué) >= threshold
+  // - sinon: on exige que ALL soit complet + ANY satisfaites + pas de banned + regex ok + règles pleinement satisfaites
   let isCorrect = false;
-  if (expectedAnswer) {
+  if (refs.length) {
     const sim = reasons.find(r => r.rule === "similarity")?.value ?? 0;
     isCorrect = sim >= similarityThreshold;
   } else {
@@ -179,7 +224,8 @@ export function evaluateAnswer(userText, evalCfg = {}, lang = "fr") {
     const anyOk = any ? (any.points > 0) : true;
     const bannedOk = banned ? (banned.found === 0) : true;
     const regexOk = regexR ? (regexR.points > 0) : true;
-    isCorrect = allOk && anyOk && bannedOk && regexOk;
+    const rulesOk = reasons.every(r => r.rule !== "rules" || r.score === 100);
+    isCorrect = allOk && anyOk && bannedOk && regexOk && rulesOk;
   }
 
   return { contentScore, isCorrect, reasons };
@@ -0,0 +1,160 @@
+// Banque d’exercices : consigne, réponses de référence, config eval, barème et langue attendue.
+// - validation par JSON Schema (src/data/exercise.schema.json, ajv)
+// - versionnage : chaque création/modification/suppression ajoute une version (journal JSONL, append-only)
+// - persistance : EXERCISES_FILE (défaut ./var/exercises.jsonl ; "off" = mémoire seule)
+// - champs secrets (références, mots-clés, eval) jamais exposés par publicExercise()
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import Ajv from "ajv";
+import { validateEvalConfig } from "./evaluation.js";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILE = (process.env.EXERCISES_FILE || path.join(process.cwd(), "var", "exercises.jsonl")).trim();
+const PERSIST = FILE.toLowerCase() !== "off";
+
+const SECRET_FIELDS = ["expectedAnswer", "expectedAnswers", "keywords", "eval"];
+
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, "data", "exercise.schema.json"), "utf8"));
+const validateSchema = new Ajv({ allErrors: true }).compile(schema);
+
+const versions = new Map(); // id -> versions[] (ordre croissant ; une version supprimée porte deleted: true)
+let writeQueue = Promise.resolve();
+
+function index(rec) {
+  if (!versions.has(rec.id)) versions.set(rec.id, []);
+  versions.get(rec.id).push(rec);
+}
+
+// Chargement au démarrage (lignes illisibles ignorées)
+if (PERSIST) {
+  try {
+    const raw = fs.readFileSync(FILE, "utf8");
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try { index(JSON.parse(line)); } catch { /* ligne corrompue */ }
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("exercise store read failed", { error: e?.message || String(e) });
+  }
+}
+
+function persist(rec) {
+  if (!PERSIST) return;
+  writeQueue = writeQueue
+    .then(() => fsp.mkdir(path.dirname(FILE), { recursive: true }))
+    .then(() => fsp.appendFile(FILE, JSON.stringify(rec) + "\n"))
+    .catch(e => logger.warn("exercise store write failed", { error: e?.message || String(e) }));
+}
+
+/**
+ * Valide un exercice (schéma + expressions régulières sûres et règles de contenu, voir validateEvalConfig).
+ * @param {object} data
+ * @returns {{ path: string, message: string }[]} erreurs (vide si valide)
+ */
+export function validateExercise(data) {
+  if (!validateSchema(data)) {
+    return validateSchema.errors.map(e => ({ path: e.instancePath || "/", message: e.message }));
+  }
+  const errors = validateEvalConfig(data.eval);
+  if (data.eval?.minWords && data.eval?.maxWords && data.eval.minWords > data.eval.maxWords) {
+    errors.push({ path: "/eval", message: "minWords doit être inférieur ou égal à maxWords" });
+  }
+  return errors;
+}
+
+/** Vue sans les champs secrets (consigne, barème, langue, contraintes de longueur) */
+export function publicExercise(ex) {
+  if (!ex) return null;
+  const out = { ...ex };
+  for (const f of SECRET_FIELDS) delete out[f];
+  const { minWords, maxWords } = ex.eval || {};
+  if (minWords || maxWords) out.constraints = { minWords: minWords || 0, maxWords: maxWords || 0 };
+  return out;
+}
+
+/**
+ * Exercice (dernière version ou version donnée) ; null si inconnu ou supprimé.
+ * @param {string} id
+ * @param {number} [version]
+ */
+export function getExercise(id, version) {
+  const list = versions.get(String(id));
+  if (!list || list[list.length - 1].deleted) return null;
+  const rec = version === undefined ? list[list.length - 1] : list.find(r => r.version === Number(version));
+  return rec || null;
+}
+
+/** Exercices actifs (dernières versions), vue publique */
+export function listExercises() {
+  return [...versions.values()]
+    .map(list => list[list.length - 1])
+    .filter(r => !r.deleted)
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(publicExercise);
+}
+
+/** Historique des versions d’un exercice ({ version, updatedAt, deleted }) ; null si inconnu */
+export function exerciseVersions(id) {
+  const list = versions.get(String(id));
+  return list ? list.map(r => ({ version: r.version, updatedAt: r.updatedAt, deleted: !!r.deleted })) : null;
+}
+
+// Ajoute une version (données déjà validées)
+function addVersion(id, data) {
+  const list = versions.get(id) || [];
+  const prev = list[list.length - 1];
+  const now = Date.now();
+  const { id: _ignored, ...fields } = data;
+  const rec = {
+    id,
+    version: (prev?.version || 0) + 1,
+    ...fields,
+    createdAt: prev?.createdAt ?? now,
+    updatedAt: now
+  };
+  index(rec);
+  persist(rec);
+  return rec;
+}
+
+/**
+ * Crée un exercice (id fourni ou généré).
+ * @returns {{ exercise?: object, errors?: object[], conflict?: boolean }}
+ */
+export function createExercise(data) {
+  const errors = validateExercise(data);
+  if (errors.length) return { errors };
+  const id = data.id || crypto.randomUUID();
+  if (getExercise(id)) return { conflict: true };
+  return { exercise: addVersion(id, data) };
+}
+
+/**
+ * Remplace un exercice existant (nouvelle version).
+ * @returns {{ exercise?: object, errors?: object[], notFound?: boolean }}
+ */
+export function updateExercise(id, data) {
+  if (!getExercise(id)) return { notFound: true };
+  const body = { ...data };
+  delete body.id;
+  const errors = validateExercise(body);
+  if (errors.length) return { errors };
+  return { exercise: addVersion(String(id), body) };
+}
+
+/** Supprime un exercice (version « tombstone », l’historique est conservé). Faux si inconnu. */
+export function deleteExercise(id) {
+  const current = getExercise(id);
+  if (!current) return false;
+  const rec = { id: current.id, version: current.version + 1, createdAt: current.createdAt, updatedAt: Date.now(), deleted: true };
+  index(rec);
+  persist(rec);
+  return true;
+}
@@ -0,0 +1,217 @@
+// Commentaires explicables pour l’élève, dans la langue de son interface (fr/en/es/de).
+// Sources : évaluation de contenu (reasons), barème (breakdown, organisation, lexique), issues du correcteur.
+// Gabarits : src/data/feedback/<locale>.json (clés plates, variables {nom}), surchargés par le barème
+// (champ feedback) puis par le locataire (feedbackTemplates), sous la forme { "<locale>": { "<clé>": "…" } }.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { missingKeywords } from "./evaluation.js";
+import { ORGANIZATION_DEFAULTS } from "./organization.js";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const FEEDBACK_LOCALES = ["fr", "en", "es", "de"];
+const DEFAULT_LOCALE = "fr";
+
+const STRENGTH_MIN = 75;     // axe au-dessus : point fort
+const IMPROVE_MAX = 60;      // axe en dessous : à travailler
+const MAX_STRENGTHS = 3;
+const MAX_IMPROVEMENTS = 3;
+const MAX_SUGGESTED_CONNECTORS = 3;
+
+const TEMPLATES = Object.fromEntries(FEEDBACK_LOCALES.map(l => {
+  try {
+    return [l, JSON.parse(fs.readFileSync(path.join(__dirname, "data", "feedback", `${l}.json`), "utf8"))];
+  } catch (e) {
+    logger.warn("feedback templates unavailable", { locale: l, error: e?.message || String(e) });
+    return [l, {}];
+  }
+}));
+
+let CONNECTORS = {};
+try {
+  CONNECTORS = JSON.parse(fs.readFileSync(path.join(__dirname, "data", "connectors.json"), "utf8"));
+} catch { /* connecteurs absents : pas de suggestion */ }
+
+/**
+ * Première langue gérée parmi les candidates (ex. "en-GB" → "en"), sinon la langue par défaut.
+ * @param {...(string|null|undefined)} candidates
+ */
+export function pickLocale(...candidates) {
+  for (const c of candidates) {
+    const l = String(c || "").trim().toLowerCase().slice(0, 2);
+    if (FEEDBACK_LOCALES.includes(l)) return l;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// Gabarits effectifs : défaut (repli fr) < barème < locataire
+function templatesFor(locale, rubric, overrides) {
+  return {
+    ...TEMPLATES[DEFAULT_LOCALE],
+    ...TEMPLATES[locale],
+    ...(rubric?.feedback?.[locale] || {}),
+    ...(overrides?.[locale] || {})
+  };
+}
+
+/**
+ * Commentaires hiérarchisés pour une analyse.
+ * @param {object} p
+ * @param {string} p.text
+ * @param {string} p.lang - langue du texte (connecteurs suggérés)
+ * @param {string} p.locale - langue de l’interface (voir pickLocale)
+ * @param {object} p.rubric - barème normalisé (surcharges éventuelles dans rubric.feedback)
+ * @param {object} p.rubricScore - sortie de rubricAggregate
+ * @param {object} p.content - sortie de evaluateAnswer
+ * @param {object|null} p.evalCfg
+ * @param {object[]} p.issues - issues du correcteur (avant ajout des issues de langue)
+ * @param {object} p.errorCategories - details.errorCategories
+ * @param {boolean} p.checked - faux si aucun correcteur n’a abouti
+ * @param {boolean} p.hasReference - faux sans réponse de référence (axe content non significatif)
+ * @param {object|null} [p.overrides] - gabarits du locataire
+ * @param {boolean} [p.hideAnswerKey] - configuration issue de la banque d’exercices : notions attendues
+ *        (mots-clés, termes des règles) réduites à un nombre, pour ne pas dévoiler le corrigé à l’élève
+ * @returns {{ locale, summary, strengths, improvements, missingKeywords, connectors, genre }}
+ */
+export function generateFeedback({ text, lang, locale, rubric, rubricScore, content, evalCfg, issues, errorCategories, checked, hasReference, overrides = null, hideAnswerKey = false }) {
+  const T = templatesFor(locale, rubric, overrides);
+  const fill = (key, vars = {}) =>
+    String(T[key] ?? key).replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+  const quote = s => fill("quote", { text: s });
+  const list = items => items.map(quote).join(", ");
+
+  const { breakdown, details } = rubricScore;
+  const weights = rubric.weights;
+  const maxWeight = Math.max(1, ...Object.values(weights));
+  const axes = Object.entries(breakdown)
+    .filter(([axis, v]) => (weights[axis] || 0) > 0 && Number.isFinite(v) && (axis !== "content" || hasReference));
+
+  // Points forts
+  const strengths = axes
+    .filter(([, v]) => v >= STRENGTH_MIN)
+    .sort((a, b) => b[1] - a[1])
+    .map(([axis, score]) => ({ id: "axis", axis, message: fill("strength.axis", { axis: fill(`axis.${axis}`), score }) }));
+  if (evalCfg && content.isCorrect) strengths.unshift({ id: "content_correct", message: fill("strength.content_correct") });
+  if (checked && !issues.length && details.lexis.total >= 20) strengths.push({ id: "no_errors", message: fill("strength.no_errors") });
+
+  // Pistes d’amélioration (priorité 0..100)
+  const candidates = [];
+  const add = (id, priority, key, vars, extra = {}) =>
+    candidates.push({ id, priority: Math.round(Math.min(100, priority)), message: fill(key, vars), ...extra });
+
+  for (const [axis, score] of axes) {
+    if (score < IMPROVE_MAX) {
+      add("axis", (100 - score) * (0.5 + 0.5 * weights[axis] / maxWeight), "improve.axis", { axis: fill(`axis.${axis}`), score }, { axis });
+    }
+  }
+
+  for (const [category, c] of Object.entries(errorCategories || {})) {
+    if (!c.count) continue;
+    const example = issues.find(i => i.category === category && i.replacements?.length && i.length > 0);
+    const vars = { category: fill(`category.${category}`), count: c.count };
+    if (example) {
+      vars.excerpt = quote(text.slice(example.offset, example.offset + example.length));
+      vars.suggestion = quote(example.replacements[0]);
+    }
+    add("category", 30 + c.penalty * 2, example ? "improve.category_example" : "improve.category", vars, { category });
+  }
+
+  const missing = evalCfg?.keywords?.all?.length ? missingKeywords(text, evalCfg.keywords.all) : [];
+  for (const r of content.reasons || []) {
+    if (r.rule === "keywords_all" && missing.length) {
+      const [key, vars] = hideAnswerKey
+        ? ["improve.keywords_all_hidden", { count: missing.length }]
+        : ["improve.keywords_all", { keywords: list(missing) }];
+      add("keywords_all", 50 + 40 * (1 - r.found / r.total), key, vars);
+    } else if (r.rule === "keywords_any" && !r.points) {
+      const key = hideAnswerKey ? "improve.keywords_any_hidden" : "improve.keywords_any";
+      add("keywords_any", 60, key, { required: r.required, ...(hideAnswerKey ? {} : { keywords: list(evalCfg.keywords.any) }) });
+    } else if (r.rule === "keywords_banned" && r.found) {
+      add("keywords_banned", 70, "improve.keywords_banned", { found: r.found });
+    } else if (r.rule === "regex" && !r.ok) {
+      add("regex", 50, "improve.regex");
+    } else if (r.rule === "length" && !r.points) {
+      const short = r.minWords && r.wordCount < r.minWords;
+      add("length", 65, short ? "improve.too_short" : "improve.too_long", r);
+    } else if (r.rule === "requireVerb" && !r.hasVerb) {
+      add("require_verb", 60, "improve.require_verb");
+    } else if (r.rule === "similarity" && r.value < r.threshold) {
+      add("similarity", 40 + (r.threshold - r.value), "improve.similarity", r);
+    } else if (r.rule === "rules" && r.score < 100 && r.weight > 0) {
+      const priority = 45 + 0.45 * (100 - r.score);
+      if (r.explain) add("rule", priority, "improve.rule", { explain: r.explain }, { ruleId: r.id });
+      else if (r.type === "sequence" && !r.inOrder && !r.missing.length) add("rule", priority, "improve.rule_order", {}, { ruleId: r.id });
+      else if (r.negated.length && hideAnswerKey) add("rule", priority, "improve.rule_negated_hidden", {}, { ruleId: r.id });
+      else if (r.negated.length) add("rule", priority, "improve.rule_negated", { terms: list(r.negated) }, { ruleId: r.id });
+      else if (r.missing.length && hideAnswerKey) add("rule", priority, "improve.rule_missing_hidden", { count: r.missing.length }, { ruleId: r.id });
+      else if (r.missing.length) add("rule", priority, "improve.rule_missing", { terms: list(r.missing) }, { ruleId: r.id });
+      else add("rule", priority, "improve.rule_generic", { id: r.id }, { ruleId: r.id });
+    }
+  }
+
+  const repeated = details.lexis.repeatedTop || [];
+  if (repeated.length) add("repetitions", 35 + 5 * repeated.length, "improve.repetitions", { words: list(repeated) });
+  const paragraphTarget = rubric.scoring?.paragraphTarget ?? ORGANIZATION_DEFAULTS.paragraphTarget;
+  if (details.organization.paragraphs < paragraphTarget && details.lexis.total >= 120) {
+    add("paragraphs", 100 - details.organization.paraScore / 2, "improve.paragraphs", { paragraphs: details.organization.paragraphs, target: paragraphTarget });
+  }
+
+  // Conventions de genre (lettre, courriel) : une explication par critère
+  const genreMessage = c => {
+    const ok = c.score >= 100;
+    switch (c.id) {
+      case "subject":
+        return ok ? ["genre.subject.ok", { found: quote(c.found) }] : ["genre.subject.missing", {}];
+      case "greeting":
+      case "closing": {
+        const vars = { found: c.found ? quote(c.found) : "", example: quote(c.example) };
+        return [`genre.${c.id}.${ok ? "ok" : c.found ? "informal" : "missing"}`, vars];
+      }
+      case "register": {
+        const kind = ok ? "ok" : c.contractions ? "contractions" : c.formal ? "mixed" : "informal";
+        return [`genre.register.${kind}`, { examples: list(c.examples) }];
+      }
+      default: {
+        const missingRoles = ["purpose", "details", "request"].filter(r => !c[r]).map(r => fill(`genre.role.${r}`));
+        return ok ? ["genre.structure.ok", {}] : ["genre.structure.partial", { missing: missingRoles.join(", ") }];
+      }
+    }
+  };
+  const genreCheck = details.genre?.supported ? details.genre : null;
+  const genre = genreCheck && {
+    genre: genreCheck.genre,
+    score: genreCheck.score,
+    criteria: genreCheck.criteria.map(c => {
+      const [key, vars] = genreMessage(c);
+      if (c.score < 100) add("genre", 40 + 0.4 * (100 - c.score), key, vars, { criterion: c.id });
+      return { id: c.id, score: c.score, ok: c.score >= 100, message: fill(key, vars) };
+    })
+  };
+
+  // Connecteurs de la langue du texte non employés
+  const found = new Set(details.organization.connectorsFound || []);
+  const unused = (CONNECTORS[lang] || []).filter(c => !found.has(c)).slice(0, MAX_SUGGESTED_CONNECTORS);
+  const connectors = details.organization.connScore !== null && details.organization.connScore < 100 && unused.length
+    ? { suggestions: unused, message: fill("connectors", { connectors: list(unused) }) }
+    : null;
+
+  return {
+    locale,
+    summary: fill("summary", {
+      overall: rubricScore.overall,
+      band: fill(`band.${rubricScore.band}`),
+      cefr: rubricScore.cefr.level
+    }),
+    strengths: strengths.slice(0, MAX_STRENGTHS),
+    improvements: candidates.sort((a, b) => b.priority - a.priority).slice(0, MAX_IMPROVEMENTS),
+    missingKeywords: !missing.length ? null
+      : hideAnswerKey ? { count: missing.length, message: fill("missing_keywords_hidden", { count: missing.length }) }
+      : { keywords: missing, message: fill("missing_keywords", { keywords: list(missing) }) },
+    connectors,
+    genre
+  };
+}
@@ -0,0 +1,155 @@
+// Conventions de genre pour les écrits formels (lettre, courriel) en fr/en/es/de.
+// Critères : formule d’appel, formule finale, registre (tu/vous, du/Sie, tú/usted, contractions en anglais),
+// rôles des paragraphes (objet, développement, demande) et, pour un courriel, ligne d’objet.
+// Marqueurs : src/data/genres.json (par langue). Le score (moyenne des critères) alimente l’axe organization.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const GENRES = ["letter", "email"];
+
+const GREETING_LINES = 5;    // lignes examinées en tête (adresse, date… avant la formule d’appel)
+const GREETING_MAX_WORDS = 10;
+const GREETING_BARE_WORDS = 6; // formule sans ponctuation finale : ligne courte, sans phrase (« Dear Sir », « Madame, monsieur »)
+const CLOSING_LINES = 4;     // lignes examinées en fin de texte (formule + signature)
+const DETAILS_MIN_WORDS = 12;
+const INFORMAL_SCORE = 40;   // formule d’appel / finale familière
+const MIXED_REGISTER_SCORE = 40;
+const INFORMAL_REGISTER_SCORE = 20;
+const PTS_PER_CONTRACTION = 25;
+
+let MARKERS = {};
+try {
+  MARKERS = JSON.parse(fs.readFileSync(path.join(__dirname, "data", "genres.json"), "utf8"));
+} catch (e) {
+  logger.warn("genre markers unavailable", { error: e?.message || String(e) });
+}
+
+// Minuscules, sans accents, apostrophes unifiées
+const fold = s => (s || "").toLowerCase().replace(/[’‘]/g, "'").normalize("NFKD").replace(/\p{M}/gu, "");
+const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const capitalize = s => s.charAt(0).toUpperCase() + s.slice(1);
+const wordCount = s => (s.match(/\p{L}+/gu) || []).length;
+
+// Premier marqueur présent (mot entier) dans `text`, sinon null
+function findMarker(text, markers = []) {
+  const t = fold(text);
+  return markers.find(m => new RegExp(`(?<!\\p{L})${escape(fold(m))}(?!\\p{L})`, "u").test(t)) || null;
+}
+
+// Ligne pouvant être une formule d’appel : terminée par , : ou !, ou courte et sans ponctuation de phrase
+// (« Hello I am writing to you because… » est une phrase du corps, pas une formule d’appel)
+const greetingShaped = line =>
+  /[,:!]$/.test(line) || (!/[.?…]$/.test(line) && wordCount(line) <= GREETING_BARE_WORDS);
+
+// Marqueur en début de ligne (formule d’appel, objet)
+function startsWith(line, markers = []) {
+  const t = fold(line).trim();
+  return markers.find(m => new RegExp(`^${escape(fold(m))}(?!\\p{L})`, "u").test(t)) || null;
+}
+
+function registerCriterion(text, m) {
+  if (m.contractions) {
+    const found = [
+      ...(text.match(/\b[a-z]+['’](?:t|re|ll|ve|d|m)\b/gi) || []),
+      ...(text.match(/\b(?:it|that|there|he|she|what|who|here|let)['’]s\b/gi) || [])
+    ];
+    return {
+      id: "register",
+      score: Math.max(0, 100 - PTS_PER_CONTRACTION * found.length),
+      contractions: found.length,
+      examples: [...new Set(found)].slice(0, 3)
+    };
+  }
+  const words = [...text.matchAll(/\p{L}+['’]?/gu)];
+  const informalSet = new Set((m.register?.informal || []).map(fold));
+  const informal = words.map(w => w[0]).filter(w => informalSet.has(fold(w)));
+  let formal;
+  if (m.register?.formalCaseSensitive) {
+    // Sie / Ihnen : majuscule hors début de phrase
+    const formalSet = new Set(m.register.formal);
+    formal = words.filter(w => formalSet.has(w[0]) && !/(^|[.!?:]\s*|\n\s*)$/.test(text.slice(0, w.index))).map(w => w[0]);
+  } else {
+    const formalSet = new Set((m.register?.formal || []).map(fold));
+    formal = words.map(w => w[0]).filter(w => formalSet.has(fold(w)));
+  }
+  let score = 100;
+  if (informal.length && formal.length) score = MIXED_REGISTER_SCORE;
+  else if (informal.length) score = INFORMAL_REGISTER_SCORE;
+  return {
+    id: "register",
+    score,
+    informal: informal.length,
+    formal: formal.length,
+    examples: [...new Set(informal.map(w => w.toLowerCase()))].slice(0, 3)
+  };
+}
+
+/**
+ * Vérifie les conventions d’un écrit formel.
+ * @param {string} text
+ * @param {string} lang - fr, en, es ou de (sinon supported: false)
+ * @param {"letter"|"email"} genre
+ * @returns {{ genre: string, supported: boolean, score: number|null, criteria: object[] }}
+ */
+export function genreMetrics(text, lang, genre) {
+  const m = MARKERS[lang];
+  if (!m) return { genre, supported: false, score: null, criteria: [] };
+
+  const lines = (text || "").split(/\r?\n/);
+  const filled = lines.map((l, i) => ({ l: l.trim(), i })).filter(x => x.l);
+  const criteria = [];
+
+  // Ligne d’objet (courriel) parmi les premières lignes
+  const subject = filled.slice(0, 3).find(x => startsWith(x.l, m.subject) && /^[^:]{0,12}:/.test(x.l));
+  if (genre === "email") criteria.push({ id: "subject", score: subject ? 100 : 0, found: subject ? subject.l : null });
+
+  // Formule d’appel : courte ligne en tête, formelle de préférence
+  const head = filled.filter(x => x !== subject).slice(0, GREETING_LINES).filter(x => wordCount(x.l) <= GREETING_MAX_WORDS && greetingShaped(x.l));
+  const formalGreeting = head.find(x => startsWith(x.l, m.greetings.formal));
+  const greeting = formalGreeting || head.find(x => startsWith(x.l, m.greetings.informal));
+  criteria.push({
+    id: "greeting",
+    score: formalGreeting ? 100 : greeting ? INFORMAL_SCORE : 0,
+    found: greeting ? greeting.l : null,
+    formal: greeting ? Boolean(formalGreeting) : null,
+    example: capitalize(m.greetings.formal[0])
+  });
+
+  // Formule finale dans les dernières lignes
+  const tail = filled.slice(-CLOSING_LINES).filter(x => x !== greeting && x !== subject);
+  const closingFormal = tail.find(x => findMarker(x.l, m.closings.formal));
+  const closing = closingFormal || tail.find(x => findMarker(x.l, m.closings.informal));
+  criteria.push({
+    id: "closing",
+    score: closingFormal ? 100 : closing ? INFORMAL_SCORE : 0,
+    found: closing ? findMarker(closing.l, closingFormal ? m.closings.formal : m.closings.informal) : null,
+    formal: closing ? Boolean(closingFormal) : null,
+    example: capitalize(m.closings.formal[0])
+  });
+
+  criteria.push(registerCriterion(text || "", m));
+
+  // Corps : entre l’en-tête (objet, appel) et la formule finale, découpé en paragraphes
+  const start = Math.max(subject?.i ?? -1, greeting?.i ?? -1) + 1;
+  const end = closing ? closing.i : lines.length;
+  const paragraphs = lines.slice(start, end).join("\n").split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const purposeIdx = paragraphs.slice(0, 2).findIndex(p => findMarker(p, m.purpose));
+  const requestIdx = paragraphs.findIndex(p => findMarker(p, m.request));
+  const details = paragraphs.some((p, i) => i !== purposeIdx && i !== requestIdx && wordCount(p) >= DETAILS_MIN_WORDS);
+  const roles = { purpose: purposeIdx >= 0, details, request: requestIdx >= 0 };
+  criteria.push({
+    id: "structure",
+    score: Math.round((Object.values(roles).filter(Boolean).length / 3) * 100),
+    paragraphs: paragraphs.length,
+    ...roles
+  });
+
+  const score = Math.round(criteria.reduce((s, c) => s + c.score, 0) / criteria.length);
+  return { genre, supported: true, score, criteria };
+}
@@ -0,0 +1,91 @@
+// Correcteur grammatical, backend configurable (GRAMMAR_BACKEND, liste ordonnée séparée par des virgules) :
+// - "languagetool" : LanguageTool HTTP (API publique ou self-host, voir services/languagetool.js)
+// - "rules"        : moteur de règles hors-ligne FR/EN (voir grammarRules.js)
+// - "mock"         : matches lus dans GRAMMAR_MOCK_FILE (tests) ; GRAMMAR_MOCK_FAIL=1 simule une panne
+// - "auto"         : languagetool puis rules en cas d’échec — défaut
+// Retourne les matches (format LanguageTool) et le backend qui les a produits.
+import fs from "fs";
+import { checkWithLanguageTool, pingLanguageTool } from "./services/languagetool.js";
+import { checkWithRules, OFFLINE_LANGS } from "./grammarRules.js";
+import { recordUpstream } from "./metrics.js";
+import { logger } from "./logger.js";
+
+// probe : vérification active de disponibilité (GET /health/ready)
+const PROVIDERS = {
+  languagetool: {
+    supports: () => true,
+    check: (text, lang, { ltApiKey }) => checkWithLanguageTool(text, lang || "auto", ltApiKey),
+    probe: pingLanguageTool
+  },
+  rules: {
+    supports: lang => OFFLINE_LANGS.includes(lang),
+    check: async (text, lang) => checkWithRules(text, lang),
+    probe: async () => {}
+  },
+  mock: {
+    supports: () => true,
+    async check() {
+      if (process.env.GRAMMAR_MOCK_FAIL === "1") throw new Error("mock checker failure");
+      const file = process.env.GRAMMAR_MOCK_FILE?.trim();
+      if (!file) return { matches: [] };
+      const data = JSON.parse(await fs.promises.readFile(file, "utf8"));
+      return { matches: Array.isArray(data) ? data : data.matches || [] };
+    },
+    async probe() {
+      await PROVIDERS.mock.check();
+    }
+  }
+};
+
+// Ordre d’essai des backends selon la configuration (valeur explicite, sinon GRAMMAR_BACKEND)
+function backendChain(backend) {
+  const mode = (backend || process.env.GRAMMAR_BACKEND || "auto").trim().toLowerCase();
+  if (mode === "auto") return ["languagetool", "rules"];
+  const names = mode.split(",").map(s => s.trim()).filter(n => PROVIDERS[n]);
+  return names.length ? names : ["languagetool", "rules"];
+}
+
+/**
+ * @param {string} text
+ * @param {string} lang - ISO-639-1 (ou "" : détection par LanguageTool)
+ * @param {{ ltApiKey?: string|null, backend?: string }} [opts] - backend : même syntaxe que GRAMMAR_BACKEND
+ * @returns {Promise<{ matches: object[], checker: string|null, status: "ok"|"fallback"|"unavailable", errors: { checker: string, message: string }[] }>}
+ *   status « fallback » : un backend précédent a échoué ; « unavailable » : aucun backend n’a abouti
+ */
+export async function checkGrammar(text, lang, { ltApiKey = null, backend = null } = {}) {
+  const errors = [];
+  for (const name of backendChain(backend)) {
+    const provider = PROVIDERS[name];
+    if (!provider.supports(lang)) {
+      errors.push({ checker: name, message: `Langue '${lang || "auto"}' non prise en charge` });
+      continue;
+    }
+    try {
+      const data = await provider.check(text, lang, { ltApiKey });
+      recordUpstream(name, true);
+      return { matches: data?.matches || [], checker: name, status: errors.length ? "fallback" : "ok", errors };
+    } catch (e) {
+      recordUpstream(name, false);
+      logger.warn("grammar checker failed", { checker: name, httpStatus: e?.response?.status, error: e?.message });
+      errors.push({ checker: name, message: e?.message || "Erreur inconnue" });
+    }
+  }
+  return { matches: [], checker: null, status: "unavailable", errors };
+}
+
+/**
+ * Vérifie activement chaque backend de la chaîne configurée.
+ * @param {string|null} [backend] - même syntaxe que GRAMMAR_BACKEND
+ * @returns {Promise<{ name: string, ok: boolean, latencyMs: number, error?: string }[]>}
+ */
+export async function probeGrammar(backend = null) {
+  return Promise.all(backendChain(backend).map(async name => {
+    const start = Date.now();
+    try {
+      await PROVIDERS[name].probe();
+      return { name, ok: true, latencyMs: Date.now() - start };
+    } catch (e) {
+      return { name, ok: false, latencyMs: Date.now() - start, error: e?.message || "Erreur inconnue" };
+    }
+  }));
+}
@@ -0,0 +1,269 @@
+// Moteur de règles hors-ligne (FR/EN) : erreurs fréquentes d’apprenants.
+// Produit des matches au format LanguageTool ({ message, offset, length, replacements, rule }) pour que
+// la taxonomie, les scores et les annotations fonctionnent à l’identique quel que soit le correcteur.
+// Couverture volontairement limitée (précision > rappel) : accords simples, mots doublés, majuscules,
+// espacement de la ponctuation, confusions courantes (a/à, ce/se, et/est, its/it's, than/then…).
+
+const L = "\\p{L}";
+const W = `(?<![${L}'’])`;  // début de mot
+const E = `(?![${L}'’])`;   // fin de mot
+
+// Conserve la casse initiale du texte remplacé
+function keepCase(original, replacement) {
+  return /^\p{Lu}/u.test(original) ? replacement[0].toUpperCase() + replacement.slice(1) : replacement;
+}
+
+const FR_FUNCTION_WORDS = new Set(["de", "du", "en", "y", "ne", "le", "la", "les", "se", "me", "te", "lui", "leur", "un", "une", "et", "ou", "à", "au", "aux", "plus", "moins", "très", "trop", "bien", "pas", "autres", "deux", "trois",
+  "encore", "comme", "presque", "même", "ensemble", "quelque", "parfois", "ainsi"]);
+const EN_MODALS = /(?:would|could|should|might|must|will|shall|can|may|did|does|do|let|make|made|to)\s+$/i;
+const EN_AN_EXCEPTIONS = /^(?:uni|use|usu|uti|eu|ewe|one|once|ur)/i; // « a university », « a one-off »
+const EN_SILENT_H = /^(?:hour|honest|honou?r|heir)/i;               // « an hour »
+// « et » après il / elle / on : signalé seulement devant un attribut usuel (participe, adjectif), précédé ou non
+// d’un adverbe ; jamais devant un pronom, un nom ou un adverbe seul (« elle et moi », « elle et bien d’autres »)
+const FR_ET_ADVERBS = "très|trop|vraiment|déjà|toujours|tellement";
+const FR_ET_ATTRIBUTES = "allée?|partie?|venue?|née?|arrivée?|restée?|tombée?|contente?|heureux|heureuse|malade|" +
+  "fatiguée?|prête?|sûre?|possible|impossible|difficile|facile|important|nécessaire|vrai|faux|gentille?";
+// Fin de proposition : ponctuation, fin de texte ou subordonnant (« its important to… », « your right about… »)
+const EN_CLAUSE_END = "(?=\\s*(?:[.,;:!?]|$)|\\s+(?:to|that|for|because|when|if|about)\\b)";
+const EN_PREDICATES = "important|possible|impossible|necessary|true|false|easy|difficult|hard|clear|obvious|" +
+  "raining|snowing|cold|hot|late|early|okay|ok|fine|good|bad|great|nice|better|worse";
+
+/**
+ * Règles : { id, lang ("*" = toutes), category, issueType, description, re, message, fix(m) → remplacement(s), test?(m, text) }
+ * Le groupe nommé « t » (ou « t2 », optionnel) délimite la portion signalée ; sinon tout le match.
+ * category / issueType reprennent ceux de LanguageTool (classement par taxonomy.js).
+ */
+const RULES = [
+  // --- Communes
+  {
+    id: "WORD_REPEAT_RULE", lang: "*", category: "TYPOS", issueType: "duplication",
+    description: "Mot répété",
+    re: new RegExp(`${W}(?<t>(${L}+)\\s+\\2)${E}`, "giu"),
+    test: m => !/^(?:nous|vous|had|that|is)$/i.test(m[2]),
+    message: { fr: "Mot répété.", en: "Possible typo: you repeated a word." },
+    fix: m => [m[2]]
+  },
+  {
+    id: "CONSECUTIVE_SPACES", lang: "*", category: "TYPOGRAPHY", issueType: "whitespace",
+    description: "Espaces consécutives",
+    re: /(?<=\S) {2,}(?=\S)/gu,
+    message: { fr: "Plusieurs espaces consécutives.", en: "Multiple consecutive spaces." },
+    fix: () => [" "]
+  },
+  {
+    id: "COMMA_PARENTHESIS_WHITESPACE", lang: "*", category: "TYPOGRAPHY", issueType: "whitespace",
+    description: "Espace avant une virgule ou un point",
+    re: /(?<=\p{L})(?<t> +[,.])(?=\s|$)/gu,
+    message: { fr: "Pas d’espace avant la virgule ou le point.", en: "Don’t put a space before a comma or period." },
+    fix: m => [m.groups.t.trim()]
+  },
+  {
+    id: "MISSING_SPACE_AFTER_PUNCT", lang: "*", category: "TYPOGRAPHY", issueType: "whitespace",
+    description: "Espace manquante après la ponctuation",
+    re: /(?<=\p{Ll}{2})(?<t>[,;!?])(?=\p{L})/gu,
+    message: { fr: "Espace manquante après la ponctuation.", en: "Missing space after punctuation." },
+    fix: m => [`${m.groups.t} `]
+  },
+  {
+    id: "UPPERCASE_SENTENCE_START", lang: "*", category: "CASING", issueType: "typographical",
+    description: "Majuscule en début de phrase",
+    re: /(?:^|(?<=[.!?]\s+))(?<t>\p{Ll}[\p{L}'’]*)/gu,
+    message: { fr: "Cette phrase ne commence pas par une majuscule.", en: "This sentence does not start with an uppercase letter." },
+    fix: m => [m.groups.t[0].toUpperCase() + m.groups.t.slice(1)]
+  },
+
+  // --- Français
+  {
+    id: "FRENCH_WHITESPACE", lang: "fr", category: "TYPOGRAPHY", issueType: "whitespace",
+    description: "Espace insécable avant ; : ! ?",
+    re: /(?<=\p{L})(?<t>[;:!?])/gu,
+    message: { fr: "Une espace (insécable) est requise avant ce signe de ponctuation." },
+    fix: m => [` ${m.groups.t}`]
+  },
+  {
+    id: "FR_ACCORD_DET_PLURIEL", lang: "fr", category: "GRAMMAR", issueType: "grammar",
+    description: "Accord en nombre après un déterminant pluriel",
+    re: new RegExp(`${W}(?:des|mes|tes|ses|nos|vos|ces|plusieurs|quelques|leurs)\\s+(?<t>${L}{3,})${E}`, "giu"),
+    test: m => !/[sxz]$/i.test(m.groups.t) && !FR_FUNCTION_WORDS.has(m.groups.t.toLowerCase()) && /^\p{Ll}/u.test(m.groups.t),
+    message: { fr: "Après un déterminant pluriel, le nom ou l’adjectif devrait être au pluriel." },
+    fix: m => [m.groups.t.endsWith("al") ? `${m.groups.t.slice(0, -2)}aux` : `${m.groups.t}s`]
+  },
+  {
+    id: "FR_ACCORD_SUJET_VERBE_ILS", lang: "fr", category: "GRAMMAR", issueType: "grammar",
+    description: "Accord du verbe avec ils/elles",
+    re: new RegExp(`${W}(?:ils|elles)\\s+(?<t>${L}{2,}e)${E}`, "giu"),
+    test: m => !FR_FUNCTION_WORDS.has(m.groups.t.toLowerCase()),
+    message: { fr: "Le verbe devrait s’accorder avec le sujet pluriel (-ent)." },
+    fix: m => [`${m.groups.t}nt`]
+  },
+  {
+    id: "FR_CONFUSION_A_ACCENT", lang: "fr", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion a / à",
+    re: new RegExp(`${W}(?:il|elle|on|qui|y)\\s+(?<t>à)${E}`, "giu"),
+    message: { fr: "Confusion probable : « a » (verbe avoir) et non « à » (préposition)." },
+    fix: () => ["a"]
+  },
+  {
+    id: "FR_CONFUSION_A_PREPOSITION", lang: "fr", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion a / à",
+    re: new RegExp(`(?:${W}(?<t>a)\\s+(?:cause|partir|côté|travers|peu près|pied|vélo|bientôt|demain|droite|gauche)${E})|(?:${W}(?:(?:grâce|face|quant)\\s+|jusqu['’])(?<t2>a)${E})`, "giu"),
+    message: { fr: "Confusion probable : « à » (préposition) et non « a » (verbe avoir)." },
+    fix: () => ["à"]
+  },
+  {
+    id: "FR_CONFUSION_CE_SE", lang: "fr", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion ce / se",
+    re: new RegExp(`${W}(?:il|elle|on|ils|elles)\\s+(?<t>ce)\\s+(?=${L})`, "giu"),
+    message: { fr: "Confusion probable : « se » (pronom réfléchi) et non « ce »." },
+    fix: m => [keepCase(m.groups.t, "se")]
+  },
+  {
+    id: "FR_CONFUSION_SE_CE", lang: "fr", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion se / ce",
+    re: new RegExp(`${W}(?<t>se)\\s+(?:qui|que|qu['’]|dont)`, "giu"),
+    message: { fr: "Confusion probable : « ce » (démonstratif) et non « se »." },
+    fix: m => [keepCase(m.groups.t, "ce")]
+  },
+  {
+    id: "FR_CONFUSION_ET_EST", lang: "fr", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion et / est",
+    re: new RegExp(`${W}(?:il|elle|on)\\s+(?<t>et)\\s+(?:(?:${FR_ET_ADVERBS})\\s+)?(?:${FR_ET_ATTRIBUTES})${E}`, "giu"),
+    message: { fr: "Confusion probable : « est » (verbe être) et non « et » (conjonction)." },
+    fix: () => ["est"]
+  },
+
+  // --- Anglais
+  {
+    id: "EN_A_VS_AN", lang: "en", category: "MISC", issueType: "grammar",
+    description: "Use of 'a' vs. 'an'",
+    re: new RegExp(`${W}(?<t>an?)\\s+(?<w>${L}+)`, "giu"),
+    test: (m, text) => {
+      const w = m.groups.w;
+      if (/^\p{Lu}{2,}$/u.test(w)) return false; // sigles : prononciation inconnue
+      if (m.groups.t === "A" && /\p{L}[\s,]*$/u.test(text.slice(0, m.index))) return false; // « Plan A is »
+      const vowel = (/^[aeiou]/i.test(w) && !EN_AN_EXCEPTIONS.test(w)) || EN_SILENT_H.test(w);
+      return m.groups.t.toLowerCase() === "a" ? vowel : !vowel;
+    },
+    message: { en: "Use “a” before a consonant sound and “an” before a vowel sound." },
+    fix: m => [keepCase(m.groups.t, m.groups.t.toLowerCase() === "a" ? "an" : "a")]
+  },
+  {
+    id: "I_LOWERCASE", lang: "en", category: "CASING", issueType: "typographical",
+    description: "Lowercase pronoun 'i'",
+    re: new RegExp(`${W}(?<t>i)(?=\\s|['’](?:m|ve|ll|d)${E})`, "gu"),
+    message: { en: "The pronoun “I” is always capitalized." },
+    fix: () => ["I"]
+  },
+  {
+    id: "HE_VERB_AGR", lang: "en", category: "GRAMMAR", issueType: "grammar",
+    description: "Subject-verb agreement (third person singular)",
+    re: new RegExp(`${W}(?:he|she|it)\\s+(?<t>have|are|do(?:n['’]t)?)${E}`, "giu"),
+    test: (m, text) => !EN_MODALS.test(text.slice(Math.max(0, m.index - 12), m.index)), // « would he have »
+    message: { en: "The verb does not agree with the third-person singular subject." },
+    fix: m => [{ have: "has", are: "is", do: "does", "don't": "doesn't", "don’t": "doesn’t" }[m.groups.t.toLowerCase()]]
+  },
+  {
+    id: "PLURAL_VERB_AGREEMENT", lang: "en", category: "GRAMMAR", issueType: "grammar",
+    description: "Subject-verb agreement (plural or I/you)",
+    re: new RegExp(`${W}(?:they|we|you|i)\\s+(?<t>has|is|was|does(?:n['’]t)?)${E}`, "giu"),
+    test: m => !(/^i$/i.test(m[0].trim().split(/\s+/)[0]) && /^was$/i.test(m.groups.t)),
+    message: { en: "The verb does not agree with the subject." },
+    fix: m => {
+      const subj = m[0].trim().split(/\s+/)[0].toLowerCase();
+      const v = m.groups.t.toLowerCase();
+      if (v === "is") return [subj === "i" ? "am" : "are"];
+      return [{ has: "have", was: "were", does: "do", "doesn't": "don't", "doesn’t": "don’t" }[v]];
+    }
+  },
+  {
+    id: "COULD_OF", lang: "en", category: "GRAMMAR", issueType: "grammar",
+    description: "'could of' instead of 'could have'",
+    re: new RegExp(`${W}(?:could|would|should|must|might)\\s+(?<t>of)${E}`, "giu"),
+    message: { en: "Did you mean “have”?" },
+    fix: () => ["have"]
+  },
+  {
+    id: "THAN_THEN", lang: "en", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion of 'than' and 'then'",
+    re: new RegExp(`${W}(?:more|less|better|worse|rather|other|bigger|smaller|faster|older|younger)\\s+(?<t>then)${E}`, "giu"),
+    message: { en: "Did you mean “than” (comparison)?" },
+    fix: () => ["than"]
+  },
+  {
+    id: "THEIR_IS", lang: "en", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion of 'their' and 'there'",
+    re: new RegExp(`${W}(?<t>their)\\s+(?:is|are|was|were)${E}`, "giu"),
+    message: { en: "Did you mean “there”?" },
+    fix: m => [keepCase(m.groups.t, "there")]
+  },
+  {
+    id: "IT_IS", lang: "en", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion of 'its' and 'it's'",
+    // déterminant ou « not » derrière « its » : toujours « it's » ; attribut seulement en fin de proposition
+    // (« its important role », « its very existence » sont des possessifs corrects)
+    re: new RegExp(`${W}(?<t>its)\\s+(?:(?:a|an|the|not)${E}|(?:(?:very|so|too|really)\\s+)?(?:${EN_PREDICATES})${EN_CLAUSE_END})`, "giu"),
+    message: { en: "Did you mean “it’s” (it is)?" },
+    fix: m => [keepCase(m.groups.t, "it's")]
+  },
+  {
+    id: "YOUR_YOU_RE", lang: "en", category: "CONFUSED_WORDS", issueType: "grammar",
+    description: "Confusion of 'your' and 'you're'",
+    // « your right to vote », « your wrong answer », « your going away » et « thanks for your welcome » sont corrects
+    re: new RegExp(`(?:^|[.!?\\n]\\s*)(?<t>your)\\s+welcome${EN_CLAUSE_END}|${W}(?<t2>your)\\s+(?:(?:right|wrong)\\s+about|not\\s+(?:sure|going|allowed|able|right|wrong))${E}`, "giu"),
+    message: { en: "Did you mean “you’re” (you are)?" },
+    fix: m => [keepCase(m.groups.t ?? m.groups.t2, "you're")]
+  },
+  {
+    id: "ALOT", lang: "en", category: "TYPOS", issueType: "misspelling",
+    description: "'alot' instead of 'a lot'",
+    re: new RegExp(`${W}(?<t>alot)${E}`, "giu"),
+    message: { en: "Did you mean “a lot”?" },
+    fix: m => [keepCase(m.groups.t, "a lot")]
+  }
+];
+
+/** Langues couvertes par le moteur hors-ligne */
+export const OFFLINE_LANGS = ["fr", "en"];
+
+// Expressions recompilées avec le drapeau « d » (indices des groupes)
+const COMPILED = RULES.map(rule => ({ ...rule, re: new RegExp(rule.re.source, rule.re.flags + "d") }));
+
+// Position de la portion signalée : groupe « t » (ou « t2 ») s’il existe, sinon tout le match
+function spanOf(m) {
+  const [start, end] = m.indices.groups?.t ?? m.indices.groups?.t2 ?? m.indices[0];
+  return { offset: start, length: end - start };
+}
+
+/**
+ * Vérifie un texte avec les règles hors-ligne.
+ * @param {string} text
+ * @param {string} lang - "fr" | "en"
+ * @returns {{ matches: object[] }} même forme que la réponse LanguageTool
+ */
+export function checkWithRules(text, lang) {
+  const t = text || "";
+  const matches = [];
+  for (const rule of COMPILED) {
+    if (rule.lang !== "*" && rule.lang !== lang) continue;
+    for (const m of t.matchAll(rule.re)) {
+      if (rule.test && !rule.test(m, t)) continue;
+      const { offset, length } = spanOf(m);
+      matches.push({
+        message: rule.message[lang] || rule.message.fr || rule.message.en,
+        shortMessage: "",
+        offset,
+        length,
+        replacements: rule.fix(m).filter(Boolean).map(value => ({ value })),
+        rule: { id: rule.id, description: rule.description, issueType: rule.issueType, category: { id: rule.category } }
+      });
+    }
+  }
+  // Une seule erreur par portion (ex. « i » en début de phrase : majuscule + pronom)
+  const seen = new Set();
+  const unique = matches.filter(m => {
+    const key = `${m.offset}:${m.length}`;
+    return !seen.has(key) && seen.add(key);
+  });
+  unique.sort((a, b) => a.offset - b.offset || b.length - a.length);
+  return { matches: unique };
+}
@@ -0,0 +1,187 @@
+// Historique des apprenants (persistance locale JSONL, une analyse par ligne)
+// - enregistré seulement si la requête fournit learnerId (assignmentId optionnel)
+// - cloisonné par locataire (tenantId ; null sans authentification) : mêmes learnerId de deux écoles distincts
+// - fichier : HISTORY_FILE (défaut ./var/history.jsonl) ; HISTORY_FILE=off désactive la persistance disque
+// - lectures : frise chronologique, règles LanguageTool récurrentes, « 5 points à travailler »
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { errorCategories } from "./taxonomy.js";
+import { getRubric } from "./rubricRegistry.js";
+import { logger } from "./logger.js";
+
+const HISTORY_FILE = (process.env.HISTORY_FILE || path.join(process.cwd(), "var", "history.jsonl")).trim();
+const PERSIST = HISTORY_FILE.toLowerCase() !== "off";
+
+const byLearner = new Map(); // clé locataire + learnerId -> records[]
+let writeQueue = Promise.resolve();
+
+const keyOf = (tenantId, learnerId) => `${tenantId ?? ""}\u0000${learnerId}`;
+
+function index(rec) {
+  const key = keyOf(rec.tenantId, rec.learnerId);
+  if (!byLearner.has(key)) byLearner.set(key, []);
+  byLearner.get(key).push(rec);
+}
+
+// Chargement au démarrage (lignes illisibles ignorées)
+if (PERSIST) {
+  try {
+    const raw = fs.readFileSync(HISTORY_FILE, "utf8");
+    for (const line of raw.split("\n")) {
+      if (!line.trim()) continue;
+      try { index(JSON.parse(line)); } catch { /* ligne corrompue */ }
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("history store read failed", { error: e?.message || String(e) });
+  }
+}
+
+/** Vrai si v est un identifiant acceptable (string/number non vide) */
+export function isValidId(v) {
+  return (typeof v === "string" && v.trim().length > 0 && v.length <= 200) || Number.isFinite(v);
+}
+
+/**
+ * Enregistre une analyse (résultat de analyzeText) pour un apprenant.
+ * @param {{ tenantId?: string|null, learnerId: string|number, assignmentId?: string|number, result: object }} p
+ * @returns {object} l’enregistrement
+ */
+export function recordAnalysis({ tenantId = null, learnerId, assignmentId = null, result }) {
+  const rules = {};
+  for (const it of result.issues || []) {
+    if (!it.ruleId) continue;
+    const r = rules[it.ruleId] || (rules[it.ruleId] = { count: 0, category: it.category || null, description: it.description || it.message || null });
+    r.count++;
+  }
+  const categories = {};
+  for (const [id, c] of Object.entries(result.details?.errorCategories || {})) {
+    if (c.count) categories[id] = c.count;
+  }
+
+  const rec = {
+    tenantId,
+    learnerId: String(learnerId),
+    assignmentId: assignmentId === null || assignmentId === undefined ? null : String(assignmentId),
+    ts: Date.now(),
+    lang: result.lang,
+    rubricId: result.rubric?.rubricId || null,
+    overall: result.rubric?.overall ?? null,
+    band: result.rubric?.band || null,
+    cefr: result.rubric?.cefr?.level || null,
+    breakdown: result.rubric?.breakdown || {},
+    errorCategories: categories,
+    rules
+  };
+  index(rec);
+
+  if (PERSIST) {
+    writeQueue = writeQueue
+      .then(() => fsp.mkdir(path.dirname(HISTORY_FILE), { recursive: true }))
+      .then(() => fsp.appendFile(HISTORY_FILE, JSON.stringify(rec) + "\n"))
+      .catch(e => logger.warn("history store write failed", { error: e?.message || String(e) }));
+  }
+  return rec;
+}
+
+/**
+ * Frise chronologique d’un apprenant (ordre chronologique).
+ * @param {string} learnerId
+ * @param {{ tenantId?: string|null, assignmentId?: string }} [filter]
+ */
+export function learnerTimeline(learnerId, { tenantId = null, assignmentId } = {}) {
+  const recs = byLearner.get(keyOf(tenantId, String(learnerId))) || [];
+  return recs
+    .filter(r => !assignmentId || r.assignmentId === String(assignmentId))
+    .sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Règles LanguageTool les plus récurrentes.
+ * @returns {{ ruleId, category, description, occurrences, submissions }[]}
+ */
+export function recurringRules(learnerId, { tenantId = null, limit = 10 } = {}) {
+  const agg = {};
+  for (const rec of learnerTimeline(learnerId, { tenantId })) {
+    for (const [ruleId, r] of Object.entries(rec.rules || {})) {
+      const a = agg[ruleId] || (agg[ruleId] = { ruleId, category: r.category, description: r.description, occurrences: 0, submissions: 0 });
+      a.occurrences += r.count;
+      a.submissions++;
+    }
+  }
+  return Object.values(agg)
+    .sort((a, b) => b.submissions - a.submissions || b.occurrences - a.occurrences || a.ruleId.localeCompare(b.ruleId))
+    .slice(0, limit);
+}
+
+const AXIS_LABELS = {
+  content: "le contenu (pertinence par rapport à la consigne)",
+  organization: "l’organisation (paragraphes, connecteurs)",
+  lexis: "le vocabulaire (variété, répétitions)",
+  grammar: "la grammaire",
+  mechanics: "l’orthographe et la ponctuation",
+  complexity: "la complexité des phrases (longueur, variété, subordonnées)"
+};
+
+/**
+ * « Top 5 » des points à travailler, à partir des `recent` dernières copies :
+ * - axes du barème faibles (moyenne < 75, axes de poids nul dans le barème de la copie ignorés) : priorité = 100 - moyenne
+ * - catégories d’erreurs fréquentes : priorité = 25 × erreurs par copie (max 100)
+ * - règles LT récurrentes (≥ 2 copies) : priorité = 100 × part des copies concernées
+ */
+export function learnerFocus(learnerId, { tenantId = null, recent = 10, limit = 5 } = {}) {
+  const recs = learnerTimeline(learnerId, { tenantId }).slice(-recent);
+  const n = recs.length;
+  if (!n) return { submissions: 0, trend: null, items: [] };
+
+  const items = [];
+
+  const axes = {};
+  recs.forEach(r => {
+    const weights = getRubric(r.rubricId)?.weights; // barème supprimé depuis : tous les axes
+    Object.entries(r.breakdown || {}).forEach(([k, v]) => {
+      if (Number.isFinite(v) && (!weights || (weights[k] || 0) > 0)) (axes[k] || (axes[k] = [])).push(v);
+    });
+  });
+  for (const [axis, vals] of Object.entries(axes)) {
+    const avg = vals.reduce((s, v) => s + v, 0) / vals.length;
+    if (avg >= 75) continue;
+    items.push({
+      kind: "axis", axis, average: Math.round(avg), priority: Math.round(100 - avg),
+      message: `Améliorer ${AXIS_LABELS[axis] || axis} (moyenne ${Math.round(avg)}/100).`
+    });
+  }
+
+  const cats = {};
+  recs.forEach(r => Object.entries(r.errorCategories || {}).forEach(([k, c]) => { cats[k] = (cats[k] || 0) + c; }));
+  for (const [category, total] of Object.entries(cats)) {
+    const perSubmission = total / n;
+    const label = errorCategories()[category]?.label || category;
+    items.push({
+      kind: "category", category, label, perSubmission: Number(perSubmission.toFixed(1)),
+      priority: Math.min(100, Math.round(perSubmission * 25)),
+      message: `${label} : ${perSubmission.toFixed(1).replace(".", ",")} erreur(s) par copie en moyenne.`
+    });
+  }
+
+  const ruleCounts = {};
+  recs.forEach(r => Object.entries(r.rules || {}).forEach(([id, rule]) => {
+    const a = ruleCounts[id] || (ruleCounts[id] = { ...rule, submissions: 0 });
+    a.submissions++;
+  }));
+  for (const [ruleId, r] of Object.entries(ruleCounts)) {
+    if (r.submissions < 2) continue;
+    items.push({
+      kind: "rule", ruleId, category: r.category, description: r.description, submissions: r.submissions,
+      priority: Math.round((r.submissions / n) * 100),
+      message: `Erreur récurrente (${r.submissions}/${n} copies) : ${r.description || ruleId}.`
+    });
+  }
+
+  const overall = recs.map(r => r.overall).filter(Number.isFinite);
+  const trend = overall.length >= 2 ? overall[overall.length - 1] - overall[0] : null;
+
+  items.sort((a, b) => b.priority - a.priority || a.kind.localeCompare(b.kind));
+  return { submissions: n, trend, items: items.slice(0, limit) };
+}
@@ -1,44 +1,63 @@
 // API Node/Express d’analyse de texte
 // - Détection de langue (franc-min)
-// - Appel LanguageTool (API publique ou self-host via LT_BASE_URL)
+// - Correcteur grammatical : LanguageTool (public ou self-host via LT_BASE_URL), repli sur des règles hors-ligne
 // - Similarité (string-similarity) + Similarité sémantique (HF Inference API)
 // - Heuristiques de structure (verbes & mots-clés)
-// - CORS whitelist, logging, rate limit, healthcheck
+// - Analyse par lot (/analyse-batch) + statistiques de classe
+// - Historique des apprenants (learnerId/assignmentId) et suivi de progression
+// - Plagiat / collusion entre copies d’un même devoir (empreintes winnowing)
+// - Banque d’exercices (/exercises) : config d’évaluation résolue côté serveur (exerciseId)
+// - Locataires : clé API / jeton signé, limite par minute, quota journalier, valeurs par défaut, usage
+// - Commentaires pour l’élève localisés (fr/en/es/de), gabarits surchargeables par barème / locataire
+// - Résultats progressifs en Server-Sent Events (/analyse-text/stream)
+// - Tâches asynchrones (/jobs) : file persistante, reprises sur erreur LT/HF, webhook signé HMAC
+// - CORS whitelist, logs JSON avec identifiant de requête, rate limit
+// - Observabilité : métriques Prometheus (/metrics), healthcheck + sonde de disponibilité des dépendances (/health/ready)
 
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
-import morgan from "morgan";
 import rateLimit from "express-rate-limit";
-import { franc } from "franc-min";
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
-
-import { iso3ToIso2 } from "./utils/lang.js";
-import { checkWithLanguageTool } from "./services/languagetool.js";
-import { similarityScore, grammarSpellingScores, structureHeuristics } from "./scoring.js";
-import { evaluateAnswer } from "./evaluation.js";
-import { rubricAggregate } from "./rubricScoring.js";
-import { semanticSimilarity100 } from "./semantic.js";
-
-// ----- Charger le JSON rubric sans import assertion -----
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const rubricPath = path.join(__dirname, "rubrics", "cefr_rubric.json");
-let rubricCfg = { writing_default: { weights: { content: 35, organization: 15, lexis: 20, grammar: 20, mechanics: 10 } } };
-try {
-  const raw = fs.readFileSync(rubricPath, "utf8");
-  rubricCfg = JSON.parse(raw);
-} catch (e) {
-  console.warn("[rubric] Fallback défaut :", e?.message || e);
-}
+import crypto from "crypto";
+import { analyzeText } from "./pipeline.js";
+import { probeGrammar } from "./grammar.js";
+import { probeSemantic } from "./semantic.js";
+import { logger, withLogContext } from "./logger.js";
+import { observeRequest, registerGauge, renderMetrics } from "./metrics.js";
+import { classStats } from "./stats.js";
+import { getRubric, listRubrics, saveRubric } from "./rubricRegistry.js";
+import { calibrateRubric } from "./calibration.js";
+import { parseCsv } from "./utils/csv.js";
+import { mapWithConcurrency } from "./utils/concurrency.js";
+import { cacheStats } from "./cache.js";
+import { isValidId, recordAnalysis, learnerTimeline, recurringRules, learnerFocus } from "./history.js";
+import { checkSubmission, registerSource, suspiciousPairs, PLAGIARISM_THRESHOLD } from "./plagiarism.js";
+import {
+  getExercise, listExercises, exerciseVersions, publicExercise,
+  createExercise, updateExercise, deleteExercise
+} from "./exercises.js";
+import { AUTH_REQUIRED, authenticate, getTenant, listTenants } from "./tenants.js";
+import { consumeQuota, recordRequest, recordCharacters, tenantUsage } from "./usage.js";
+import { createJob, getJob, publicJob, startJobWorker, jobStats, checkWebhookUrl } from "./jobs.js";
+import { FEEDBACK_LOCALES } from "./feedback.js";
+import { validateEvalConfig } from "./evaluation.js";
+import { GENRES } from "./genre.js";
 
 const app = express();
 
 // ----- Config -----
 const PORT = Number(process.env.PORT || 8080);
 const LT_API_KEY = process.env.LT_API_KEY || null;
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS || 200);
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY || 4);
+const EXERCISES_ADMIN_TOKEN = process.env.EXERCISES_ADMIN_TOKEN?.trim() || null;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET?.trim() || null;
+const SSE_KEEPALIVE_MS = 15_000;
+const METRICS_TOKEN = process.env.METRICS_TOKEN?.trim() || null;
+const CALIBRATION_MIN_SAMPLES = 10;
+const CALIBRATION_MAX_SAMPLES = Number(process.env.CALIBRATION_MAX_SAMPLES || 500);
+const GENRE_OPTIONS = [...GENRES, "none"]; // "none" : pas de vérification, même si le barème en prévoit une
+const READY_CACHE_MS = Number(process.env.READY_CACHE_SECONDS ?? 10) * 1000;
 
 // CORS: liste blanche via env (séparée par virgules). "*" autorise tout (tests).
 const CORS_ORIGINS = (process.env.CORS_ORIGINS || "*")
@@ -46,9 +65,31 @@ const CORS_ORIGINS = (process.env.CORS_ORIGINS || "*")
   .map(s => s.trim())
   .filter(Boolean);
 
+// Identifiant de requête (X-Request-Id reçu ou généré, renvoyé en en-tête), log JSON et métriques en fin de requête
+app.use((req, res, next) => {
+  const given = req.get("x-request-id");
+  req.id = given && /^[\w.:-]{1,128}$/.test(given) ? given : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    observeRequest({ method: req.method, route, status: res.statusCode, seconds });
+    logger.info("request", {
+      reqId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      tenant: req.tenant?.id ?? null
+    });
+  });
+  withLogContext({ reqId: req.id }, next);
+});
+
 // Middlewares
 app.use(express.json({ limit: "2mb" }));
-app.use(morgan("tiny"));
 
 if (CORS_ORIGINS.includes("*")) {
   app.use(cors());
@@ -65,126 +106,675 @@ if (CORS_ORIGINS.includes("*")) {
   );
 }
 
-// Rate limit: 60 requêtes / minute par IP
+// Identification du locataire, calculée une fois par requête (limite par IP puis authentification)
+const authCache = new WeakMap();
+function authOf(req) {
+  if (!authCache.has(req)) authCache.set(req, AUTH_REQUIRED ? authenticate(req) : { tenant: null });
+  return authCache.get(req);
+}
+
+// Rate limit: 60 requêtes / minute par IP pour les requêtes anonymes ; un locataire authentifié n’est soumis
+// qu’à sa propre limite (plusieurs classes d’une école derrière une même IP)
 app.use(
   rateLimit({
     windowMs: 60_000,
-    max: 60
+    max: 60,
+    skip: req => Boolean(authOf(req).tenant)
   })
 );
 
-// ----- Healthcheck -----
+// ----- Healthcheck (public) -----
+// Vivacité du processus (ne sonde pas les dépendances)
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", uptime: process.uptime(), ts: Date.now() });
+  res.json({ status: "ok", uptime: process.uptime(), ts: Date.now(), cache: cacheStats(), jobs: jobStats() });
 });
 
-// ----- Route principale -----
-// body: { text, expectedAnswer?, expectedLang?, keywords?, eval? }
-app.post("/analyse-text", async (req, res) => {
-  try {
-    const { text, expectedAnswer = "", expectedLang = "", keywords = [] } = req.body || {};
-    if (!text || typeof text !== "string") {
-      return res.status(400).json({ error: "Champ 'text' requis (string)." });
-    }
+// Disponibilité : sonde active du correcteur et du backend d’embeddings configurés (résultat gardé READY_CACHE_SECONDS).
+// ok : premier backend de chaque chaîne disponible ; degraded : repli en service ; unavailable (503) : aucun backend.
+let readyProbe = null; // { at, promise }
+let lastReadiness = null; // dernier rapport obtenu (jauge upstream_up)
+function checkReadiness() {
+  if (readyProbe && Date.now() - readyProbe.at < READY_CACHE_MS) return readyProbe.promise;
+  const promise = Promise.all([probeGrammar(), probeSemantic()]).then(([grammar, semantic]) => {
+    const statusOf = probes => {
+      const usable = probes.filter(p => p.configured !== false);
+      if (!usable.some(p => p.ok)) return "unavailable";
+      return usable[0].ok ? "ok" : "degraded";
+    };
+    const checks = { grammar: { status: statusOf(grammar), backends: grammar }, semantic: { status: statusOf(semantic), backends: semantic } };
+    const statuses = Object.values(checks).map(c => c.status);
+    const status = statuses.includes("unavailable") ? "unavailable" : statuses.includes("degraded") ? "degraded" : "ok";
+    lastReadiness = { status, checks, ts: Date.now() };
+    return lastReadiness;
+  });
+  readyProbe = { at: Date.now(), promise };
+  return promise;
+}
 
-    // 1) Détection langue
-    const detectedIso3 = franc(text, { minLength: 10 });
-    const lang = iso3ToIso2(detectedIso3);
+app.get("/health/ready", async (req, res) => {
+  const report = await checkReadiness();
+  res.status(report.status === "unavailable" ? 503 : 200).json(report);
+});
 
-    // 2) LanguageTool
-    let ltData = { matches: [] };
-    try {
-      const ltLang = expectedLang || lang || "auto";
-      ltData = await checkWithLanguageTool(text, ltLang, LT_API_KEY);
-    } catch (e) {
-      ltData = { matches: [], _error: "LanguageTool unreachable" };
+// Métriques Prometheus (Authorization: Bearer <METRICS_TOKEN> si défini)
+registerGauge("jobs", "Tâches asynchrones par statut", () =>
+  Object.entries(jobStats()).map(([status, value]) => ({ labels: { status }, value })));
+registerGauge("cache_entries", "Entrées en mémoire par cache", () =>
+  Object.entries(cacheStats()).map(([cache, s]) => ({ labels: { cache }, value: s.size })));
+registerGauge("upstream_up", "Dernière sonde /health/ready par dépendance (1 = disponible)", () => {
+  if (!lastReadiness) return [];
+  return Object.values(lastReadiness.checks).flatMap(c => c.backends
+    .filter(b => b.configured !== false)
+    .map(b => ({ labels: { dependency: b.name }, value: b.ok ? 1 : 0 })));
+});
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN) {
+    const given = Buffer.from(/^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1]?.trim() || "");
+    const expected = Buffer.from(METRICS_TOKEN);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).set("WWW-Authenticate", 'Bearer realm="metrics"').end();
     }
+  }
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
 
-    // 3) Similarité "lettres/mots" 0..100
-    const similarity = similarityScore(text, expectedAnswer);
+// ----- Authentification (toutes les routes suivantes) -----
+// 401 sans identifiants valides ; req.tenant = locataire authentifié (null si AUTH_MODE=off / aucun locataire)
+app.use((req, res, next) => {
+  req.tenant = null;
+  if (!AUTH_REQUIRED) return next();
+  const { tenant, error } = authOf(req);
+  if (!tenant) {
+    return res.status(401).set("WWW-Authenticate", 'Bearer realm="analyse-texte"').json({ error: "unauthorized", message: error });
+  }
+  req.tenant = tenant;
+  recordRequest(tenant.id);
+  next();
+});
 
-    // 4) Similarité sémantique 0..100 via HF (si HF_API_KEY configuré + expectedAnswer)
-    let semanticScore = null;
-    if (expectedAnswer) {
-      semanticScore = await semanticSimilarity100(text, expectedAnswer);
-    }
+// Limite par minute propre à chaque locataire (rateLimit du locataire)
+app.use(
+  rateLimit({
+    windowMs: 60_000,
+    limit: req => req.tenant.rateLimit,
+    skip: req => !req.tenant,
+    keyGenerator: req => `tenant:${req.tenant.id}`,
+    message: { error: "rate_limited", message: "Trop de requêtes pour ce locataire, réessayez plus tard." }
+  })
+);
 
-    // 5) Heuristiques de structure
-    const struct = structureHeuristics(text, keywords, expectedLang || lang);
-
-    // 6) Scores grammaire/orthographe
-    const { grammarScore, spellingScore, grammarErr, spellingErr } = grammarSpellingScores(ltData.matches);
-
-    // 7) Issues formatées
-    const issues = (ltData.matches || []).slice(0, 100).map(m => ({
-      type: (m.rule?.issueType || "grammar").toLowerCase(),
-      message: m.message || m.shortMessage || "Problème détecté",
-      ruleId: m.rule?.id,
-      description: m.rule?.description,
-      offset: m.offset,
-      length: m.length,
-      replacements: (m.replacements || []).slice(0, 5).map(r => r.value)
-    }));
-
-    // 8) Langue inattendue
-    if (expectedLang && expectedLang !== (lang || "und")) {
-      issues.unshift({
-        type: "language",
-        message: `Réponse détectée en '${lang || "indéterminée"}' au lieu de '${expectedLang}'.`
-      });
-    }
+// Quota journalier : réserve `units` analyses ; répond 429 + Retry-After (secondes jusqu’à minuit UTC) si dépassé
+function admitQuota(req, res, units) {
+  if (!req.tenant) return true;
+  const q = consumeQuota(req.tenant, units);
+  if (q.remaining !== null) res.set("X-Quota-Remaining", String(q.remaining));
+  if (q.ok) return true;
+  res.set("Retry-After", String(q.retryAfter)).status(429).json({
+    error: "quota_exceeded",
+    message: `Quota journalier atteint (${req.tenant.dailyQuota} analyses, ${q.remaining} restante(s)).`,
+    retryAfter: q.retryAfter
+  });
+  return false;
+}
 
-    // 9) Évaluation de contenu (optionnelle) pilotée par le front
-    const evalCfg = req.body?.eval || null;
-    let contentEval = { contentScore: 0, isCorrect: false, reasons: [] };
-    if (evalCfg) {
-      contentEval = evaluateAnswer(text, evalCfg, expectedLang || lang);
-    }
+// ----- Barèmes disponibles -----
+app.get("/rubrics", (req, res) => {
+  res.json({ rubrics: listRubrics() });
+});
 
-    // 10) Barème CECRL (content s’appuie aussi sur la similarité sémantique)
-    const rubric = rubricCfg.writing_default;
-    const rubricScore = await rubricAggregate({
-      text,
-      lang: expectedLang || lang,
-      ltMatches: ltData.matches || [],
-      expectedAnswer,
-      rubric
+// Barème demandé (rubricId) ou défaut ; répond 400 et renvoie null si l’id est inconnu
+function resolveRubric(rubricId, res) {
+  const rubric = getRubric(rubricId);
+  if (!rubric) {
+    res.status(400).json({
+      error: `Barème '${rubricId}' inconnu.`,
+      available: listRubrics().map(r => r.id)
     });
+  }
+  return rubric;
+}
+
+// Configuration d’évaluation : celle de l’exercice (exerciseId, exerciseVersion?) si fourni — les champs
+// envoyés par le client sont alors ignorés —, sinon celle du corps de requête.
+// rubricId / expectedLang absents : valeurs par défaut du locataire. Répond 404 et renvoie null si l’exercice est inconnu,
+// 400 si la configuration eval du corps est invalide (expressions régulières, règles) ou le genre inconnu.
+function resolveEvalConfig(req, res) {
+  const body = req.body || {};
+  const defaults = req.tenant?.defaults || {};
+  const { exerciseId, exerciseVersion } = body;
+  if (body.genre != null && !GENRE_OPTIONS.includes(body.genre)) {
+    res.status(400).json({ error: `Champ 'genre' invalide (${GENRE_OPTIONS.join(", ")}).` });
+    return null;
+  }
+  if (exerciseId == null) {
+    const errors = validateEvalConfig(body.eval);
+    if (errors.length) {
+      res.status(400).json({ error: "Configuration d’évaluation invalide.", details: errors });
+      return null;
+    }
+    const { expectedAnswer = "", expectedAnswers = [], keywords = [] } = body;
+    return {
+      expectedAnswer, expectedAnswers, keywords,
+      expectedLang: body.expectedLang || defaults.expectedLang || "",
+      eval: body.eval || null,
+      rubricId: body.rubricId ?? defaults.rubricId,
+      genre: body.genre ?? null,
+      exercise: null
+    };
+  }
+  const ex = getExercise(exerciseId, exerciseVersion);
+  if (!ex) {
+    res.status(404).json({ error: `Exercice '${exerciseId}'${exerciseVersion != null ? ` (version ${exerciseVersion})` : ""} introuvable.` });
+    return null;
+  }
+  return {
+    expectedAnswer: ex.expectedAnswer || "",
+    expectedAnswers: ex.expectedAnswers || [],
+    expectedLang: ex.expectedLang || defaults.expectedLang || "",
+    keywords: ex.keywords || [],
+    eval: ex.eval || null,
+    rubricId: ex.rubricId ?? body.rubricId ?? defaults.rubricId,
+    genre: ex.genre ?? body.genre ?? null,
+    exercise: { id: ex.id, version: ex.version }
+  };
+}
 
-    // 11) Réponse
-    res.json({
-      lang,
-      grammarScore,
-      spellingScore,
-      similarityScore: similarity, // forme (lettres/mots)
-      semanticScore,               // sens (HF) 0..100 ou null
-      issues,
-      content: contentEval,        // évaluation configurable par question
-      rubric: rubricScore,         // agrégat “style prof CECRL”
-      details: {
-        grammarErrors: grammarErr,
-        spellingErrors: spellingErr,
-        ltError: ltData._error || null,
-        hasVerb: struct.hasVerb,
-        keywordScore: struct.keywordScore,
-        keywordsFound: struct.found,
-        keywordsTotal: struct.total
-      }
+// Langue des commentaires : champ locale, sinon défaut du locataire, sinon Accept-Language (null : langue du texte)
+function resolveLocale(req) {
+  const explicit = req.body?.locale || req.tenant?.defaults.locale;
+  if (explicit) return String(explicit);
+  if (!req.get("accept-language")) return null;
+  return req.acceptsLanguages(...FEEDBACK_LOCALES) || null;
+}
+
+// Suivi d’une copie analysée : historique apprenant + contrôle de plagiat (si assignmentId), cloisonnés par locataire
+function trackSubmission({ tenantId = null, text, result, learnerId, assignmentId, submissionId }) {
+  if (learnerId != null) recordAnalysis({ tenantId, learnerId, assignmentId, result });
+  if (assignmentId != null) {
+    result.plagiarism = checkSubmission({
+      tenantId,
+      assignmentId,
+      submissionId: submissionId ?? learnerId ?? crypto.randomUUID(),
+      learnerId,
+      text
     });
-  } catch (err) {
-    const msg = err?.message || "Unknown error";
-    const is429 = /429/.test(msg);
-    res.status(is429 ? 503 : 500).json({
+  }
+}
+
+// Validation commune à /analyse-text, /analyse-text/stream et /jobs (corps, config d’évaluation, barème, quota).
+// Répond (4xx) et renvoie null si la requête est refusée.
+function prepareAnalysis(req, res) {
+  const { text, learnerId, assignmentId, submissionId } = req.body || {};
+  if (!text || typeof text !== "string") {
+    res.status(400).json({ error: "Champ 'text' requis (string)." });
+    return null;
+  }
+  if ([learnerId, assignmentId, submissionId].some(v => v != null && !isValidId(v))) {
+    res.status(400).json({ error: "Champs 'learnerId' / 'assignmentId' / 'submissionId' invalides (string ou nombre)." });
+    return null;
+  }
+  const cfg = resolveEvalConfig(req, res);
+  if (!cfg) return null;
+  const rubric = resolveRubric(cfg.rubricId, res);
+  if (!rubric) return null;
+  if (!admitQuota(req, res, 1)) return null;
+  return { text, learnerId, assignmentId, submissionId, cfg, rubric };
+}
+
+// Analyse + suivi (exercice, usage, historique, plagiat) ; onProgress : fragments de réponse (voir pipeline.js)
+async function runAnalysis(req, { text, learnerId, assignmentId, submissionId, cfg, rubric }, onProgress = null) {
+  const result = await analyzeText({
+    text,
+    expectedAnswer: cfg.expectedAnswer,
+    expectedAnswers: cfg.expectedAnswers,
+    expectedLang: cfg.expectedLang,
+    keywords: cfg.keywords,
+    eval: cfg.eval,
+    rubric,
+    ltApiKey: LT_API_KEY,
+    grammarBackend: req.tenant?.defaults.grammarBackend,
+    locale: resolveLocale(req),
+    feedbackTemplates: req.tenant?.feedbackTemplates,
+    genre: cfg.genre,
+    hideAnswerKey: Boolean(cfg.exercise),
+    onProgress
+  });
+  if (cfg.exercise) result.exercise = cfg.exercise;
+  if (req.tenant) recordCharacters(req.tenant.id, text.length);
+  trackSubmission({ tenantId: req.tenant?.id ?? null, text, result, learnerId, assignmentId, submissionId });
+  return result;
+}
+
+function analysisError(err) {
+  const msg = err?.message || "Unknown error";
+  const is429 = /429/.test(msg);
+  return {
+    status: is429 ? 503 : 500,
+    body: {
       error: "analysis_failed",
       message: msg,
       hint: is429
         ? "Limite atteinte sur LanguageTool public : fournissez LT_BASE_URL vers votre instance self-hostée."
         : undefined
+    }
+  };
+}
+
+// ----- Route principale -----
+// body: { text, expectedAnswer?, expectedAnswers?, expectedLang?, keywords?, eval?, rubricId?,
+//         exerciseId?, exerciseVersion?, learnerId?, assignmentId?, submissionId?, locale?, genre? }
+app.post("/analyse-text", async (req, res) => {
+  try {
+    const input = prepareAnalysis(req, res);
+    if (!input) return;
+    res.json(await runAnalysis(req, input));
+  } catch (err) {
+    const { status, body } = analysisError(err);
+    res.status(status).json(body);
+  }
+});
+
+// ----- Variante progressive (Server-Sent Events) -----
+// Même corps que /analyse-text. Un événement par étape terminée (lang, structure, content, grammar, semantic, rubric),
+// data = fragment de la réponse finale (mêmes clés), puis « result » (réponse complète) ou « error ».
+app.post("/analyse-text/stream", async (req, res) => {
+  const input = prepareAnalysis(req, res);
+  if (!input) return;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // pas de mise en tampon derrière nginx
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => { closed = true; });
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const keepAlive = setInterval(() => { if (!closed) res.write(": ping\n\n"); }, SSE_KEEPALIVE_MS);
+
+  try {
+    send("result", await runAnalysis(req, input, send));
+  } catch (err) {
+    send("error", analysisError(err).body);
+  } finally {
+    clearInterval(keepAlive);
+    res.end();
+  }
+});
+
+// ----- Analyse par lot (copies d’une classe) -----
+// body: { submissions: [{ id?, text, learnerId? } | string], expectedAnswer?, expectedAnswers?, expectedLang?, keywords?,
+//         eval?, rubricId?, exerciseId?, exerciseVersion?, assignmentId?, locale?, genre? }
+app.post("/analyse-batch", async (req, res) => {
+  const { submissions, assignmentId } = req.body || {};
+  if (!Array.isArray(submissions) || !submissions.length) {
+    return res.status(400).json({ error: "Champ 'submissions' requis (tableau non vide)." });
+  }
+  if (submissions.length > BATCH_MAX_ITEMS) {
+    return res.status(413).json({ error: `Lot trop volumineux (max ${BATCH_MAX_ITEMS} copies).` });
+  }
+  if (assignmentId != null && !isValidId(assignmentId)) {
+    return res.status(400).json({ error: "Champ 'assignmentId' invalide (string ou nombre)." });
+  }
+  const cfg = resolveEvalConfig(req, res);
+  if (!cfg) return;
+  const rubric = resolveRubric(cfg.rubricId, res);
+  if (!rubric) return;
+  if (!admitQuota(req, res, submissions.length)) return;
+
+  const results = await mapWithConcurrency(submissions, BATCH_CONCURRENCY, async (item, index) => {
+    const sub = typeof item === "string" ? { text: item } : item || {};
+    const id = sub.id ?? index;
+    if (!sub.text || typeof sub.text !== "string") {
+      return { index, id, ok: false, error: "invalid_submission", message: "Champ 'text' requis (string)." };
+    }
+    if (sub.learnerId != null && !isValidId(sub.learnerId)) {
+      return { index, id, ok: false, error: "invalid_submission", message: "Champ 'learnerId' invalide (string ou nombre)." };
+    }
+    try {
+      const result = await runAnalysis(req, {
+        text: sub.text, learnerId: sub.learnerId, assignmentId, submissionId: sub.id, cfg, rubric
+      });
+      return { index, id, ok: true, result };
+    } catch (err) {
+      return { index, id, ok: false, error: "analysis_failed", message: err?.message || "Unknown error" };
+    }
+  });
+
+  const failed = results.filter(r => !r.ok).length;
+  res.json({
+    ...(cfg.exercise ? { exercise: cfg.exercise } : {}),
+    total: results.length,
+    succeeded: results.length - failed,
+    failed,
+    stats: classStats(results.filter(r => r.ok).map(r => r.result)),
+    results
+  });
+});
+
+// ----- Tâches asynchrones (textes longs) -----
+// Secret HMAC des webhooks : celui du locataire, sinon WEBHOOK_SECRET
+const webhookSecretFor = tenantId => (tenantId && getTenant(tenantId)?.webhookSecret) || WEBHOOK_SECRET;
+
+// Une erreur LT/HF (repli utilisé) déclenche une reprise, sauf au dernier essai où le résultat dégradé est conservé
+startJobWorker(async (request, { final, progress }) => {
+  if (request.kind === "calibration") return runCalibration(request, progress);
+  const { tenantId, learnerId, assignmentId, submissionId, exercise, rubricId, grammarBackend, ...input } = request;
+  const rubric = getRubric(rubricId);
+  if (!rubric) throw Object.assign(new Error(`Barème '${rubricId}' inconnu.`), { retryable: false });
+  const result = await analyzeText({
+    ...input, rubric, ltApiKey: LT_API_KEY, grammarBackend,
+    feedbackTemplates: tenantId ? getTenant(tenantId)?.feedbackTemplates : null,
+    hideAnswerKey: Boolean(exercise),
+    onProgress: progress
+  });
+  const upstream = [result.details?.ltError, result.details?.semanticError].filter(Boolean);
+  if (upstream.length && !final) throw new Error(upstream.join(" ; "));
+  if (exercise) result.exercise = exercise;
+  if (tenantId) recordCharacters(tenantId, input.text.length);
+  trackSubmission({ tenantId: tenantId ?? null, text: input.text, result, learnerId, assignmentId, submissionId });
+  return result;
+}, { webhookSecret: webhookSecretFor });
+
+// body: mêmes champs que /analyse-text + webhookUrl? ; répond 202 + Location: /jobs/:id
+app.post("/jobs", async (req, res) => {
+  const { webhookUrl } = req.body || {};
+  if (webhookUrl != null) {
+    const refused = await checkWebhookUrl(webhookUrl);
+    if (refused) {
+      return res.status(400).json({ error: `Champ 'webhookUrl' invalide : ${refused}.` });
+    }
+    if (!webhookSecretFor(req.tenant?.id)) {
+      return res.status(400).json({ error: "Webhook impossible : aucun secret de signature configuré (WEBHOOK_SECRET ou webhookSecret du locataire)." });
+    }
+  }
+  const input = prepareAnalysis(req, res);
+  if (!input) return;
+  const { text, learnerId, assignmentId, submissionId, cfg, rubric } = input;
+
+  const job = createJob({
+    tenantId: req.tenant?.id ?? null,
+    webhookUrl: webhookUrl ?? null,
+    request: {
+      text,
+      expectedAnswer: cfg.expectedAnswer,
+      expectedAnswers: cfg.expectedAnswers,
+      expectedLang: cfg.expectedLang,
+      keywords: cfg.keywords,
+      eval: cfg.eval,
+      rubricId: rubric.id,
+      grammarBackend: req.tenant?.defaults.grammarBackend,
+      locale: resolveLocale(req),
+      genre: cfg.genre,
+      exercise: cfg.exercise,
+      tenantId: req.tenant?.id ?? null,
+      learnerId, assignmentId, submissionId
+    }
+  });
+  res.status(202).location(`/jobs/${job.id}`).json({ id: job.id, status: job.status });
+});
+
+// Statut, résultats partiels (progress) puis résultat final
+app.get("/jobs/:id", (req, res) => {
+  const job = getJob(req.params.id, req.tenant?.id);
+  if (!job) return res.status(404).json({ error: `Tâche '${req.params.id}' introuvable.` });
+  res.json(publicJob(job));
+});
+
+// ----- Banque d’exercices -----
+// Écritures et vue complète (champs secrets) : locataire admin, ou jeton X-Admin-Token (EXERCISES_ADMIN_TOKEN) ;
+// refusées à tous si ni l’un ni l’autre n’est configuré (les champs secrets ne doivent pas fuiter par défaut)
+function isAdmin(req) {
+  if (req.tenant?.admin) return true;
+  if (!EXERCISES_ADMIN_TOKEN) return false;
+  const given = Buffer.from(String(req.get("x-admin-token") || ""));
+  const expected = Buffer.from(EXERCISES_ADMIN_TOKEN);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const ADMIN_REQUIRED = EXERCISES_ADMIN_TOKEN
+  ? "Jeton administrateur requis (en-tête X-Admin-Token)."
+  : "Administration désactivée : définir EXERCISES_ADMIN_TOKEN (en-tête X-Admin-Token) ou un locataire admin.";
+
+function requireAdmin(req, res, next) {
+  if (isAdmin(req)) return next();
+  res.status(403).json({ error: ADMIN_REQUIRED });
+}
+
+app.get("/exercises", (req, res) => {
+  const exercises = listExercises();
+  res.json({ count: exercises.length, exercises });
+});
+
+// Vue publique (consigne, barème, langue, contraintes) ; ?full=1 (admin) : config complète. ?version= : version donnée
+app.get("/exercises/:id", (req, res) => {
+  const ex = getExercise(req.params.id, req.query.version);
+  if (!ex) return res.status(404).json({ error: `Exercice '${req.params.id}' introuvable.` });
+  if (req.query.full === "1") {
+    return isAdmin(req) ? res.json(ex) : res.status(403).json({ error: ADMIN_REQUIRED });
+  }
+  res.json(publicExercise(ex));
+});
+
+app.get("/exercises/:id/versions", (req, res) => {
+  const list = exerciseVersions(req.params.id);
+  if (!list) return res.status(404).json({ error: `Exercice '${req.params.id}' introuvable.` });
+  res.json({ id: req.params.id, versions: list });
+});
+
+// rubricId d’un exercice : doit exister dans le registre (400 sinon)
+function checkRubricId(body, res) {
+  if (body?.rubricId == null) return true;
+  return !!resolveRubric(body.rubricId, res);
+}
+
+app.post("/exercises", requireAdmin, (req, res) => {
+  if (!checkRubricId(req.body, res)) return;
+  const result = createExercise(req.body);
+  if (result.errors) return res.status(400).json({ error: "Exercice invalide.", details: result.errors });
+  if (result.conflict) return res.status(409).json({ error: `Exercice '${req.body.id}' déjà existant.` });
+  res.status(201).json(publicExercise(result.exercise));
+});
+
+app.put("/exercises/:id", requireAdmin, (req, res) => {
+  if (!checkRubricId(req.body, res)) return;
+  const result = updateExercise(req.params.id, req.body);
+  if (result.notFound) return res.status(404).json({ error: `Exercice '${req.params.id}' introuvable.` });
+  if (result.errors) return res.status(400).json({ error: "Exercice invalide.", details: result.errors });
+  res.json(publicExercise(result.exercise));
+});
+
+app.delete("/exercises/:id", requireAdmin, (req, res) => {
+  if (!deleteExercise(req.params.id)) return res.status(404).json({ error: `Exercice '${req.params.id}' introuvable.` });
+  res.status(204).end();
+});
+
+// ----- Calibration des barèmes (admin) -----
+// body: { baseRubricId?, samples?: [{ text, score, expectedAnswer?, expectedAnswers?, expectedLang?, keywords? }],
+//         csv?: "text,score[,expectedAnswer][,expectedLang]…", maxScore? (défaut 100), expectedLang?, expectedAnswer?,
+//         save?: { id, label? } }
+// Champs expectedLang / expectedAnswer du corps : valeurs par défaut des copies qui n’en ont pas.
+// Jusqu’à CALIBRATION_MAX_SAMPLES analyses : exécutée dans la file de tâches, répond 202 + Location: /jobs/:id
+app.post("/rubrics/calibrate", requireAdmin, (req, res) => {
+  const body = req.body || {};
+  const base = resolveRubric(body.baseRubricId, res);
+  if (!base) return;
+
+  let raw = body.samples;
+  if (raw == null && typeof body.csv === "string") raw = parseCsv(body.csv);
+  if (!Array.isArray(raw) || !raw.length) {
+    return res.status(400).json({ error: "Champ 'samples' (tableau) ou 'csv' (texte avec colonnes text, score) requis." });
+  }
+  if (raw.length > CALIBRATION_MAX_SAMPLES) {
+    return res.status(413).json({ error: `Trop de copies (max ${CALIBRATION_MAX_SAMPLES}).` });
+  }
+  const maxScore = body.maxScore == null ? 100 : Number(body.maxScore);
+  if (!Number.isFinite(maxScore) || maxScore <= 0) {
+    return res.status(400).json({ error: "Champ 'maxScore' invalide (nombre > 0)." });
+  }
+  const save = body.save;
+  if (save != null && (typeof save.id !== "string" || !/^[\w-]{1,64}$/.test(save.id))) {
+    return res.status(400).json({ error: "Champ 'save.id' invalide (lettres, chiffres, _ ou -, 64 caractères max)." });
+  }
+  if (save && getRubric(save.id)) return res.status(409).json({ error: `Barème '${save.id}' déjà existant.` });
+
+  const samples = [];
+  for (const [index, s] of raw.entries()) {
+    const score = typeof s?.score === "string" ? Number(s.score.replace(",", ".")) : s?.score;
+    if (!s?.text || typeof s.text !== "string" || !Number.isFinite(score) || score < 0 || score > maxScore) {
+      return res.status(400).json({ error: `Copie ${index} invalide : 'text' (string) et 'score' (0..${maxScore}) requis.` });
+    }
+    samples.push({
+      text: s.text,
+      score: (score / maxScore) * 100,
+      expectedAnswer: s.expectedAnswer || body.expectedAnswer || "",
+      expectedAnswers: Array.isArray(s.expectedAnswers) ? s.expectedAnswers : [],
+      expectedLang: s.expectedLang || body.expectedLang || "",
+      keywords: Array.isArray(s.keywords) ? s.keywords : []
     });
   }
+  if (samples.length < CALIBRATION_MIN_SAMPLES) {
+    return res.status(400).json({ error: `Au moins ${CALIBRATION_MIN_SAMPLES} copies notées requises.` });
+  }
+
+  const job = createJob({
+    tenantId: req.tenant?.id ?? null,
+    request: {
+      kind: "calibration",
+      baseRubricId: base.id,
+      samples,
+      save: save ? { id: save.id, label: save.label } : null,
+      grammarBackend: req.tenant?.defaults.grammarBackend
+    }
+  });
+  res.status(202).location(`/jobs/${job.id}`).json({ id: job.id, status: job.status });
+});
+
+// Tâche de calibration : résultat = ancien corps de réponse ; échec définitif (pas de reprise) si trop peu de
+// copies exploitables ou si l’id de sauvegarde a été pris entre-temps
+const finalError = message => Object.assign(new Error(message), { retryable: false });
+
+async function runCalibration({ baseRubricId, samples, save, grammarBackend }, progress) {
+  const base = getRubric(baseRubricId);
+  if (!base) throw finalError(`Barème '${baseRubricId}' inconnu.`);
+  const cal = await calibrateRubric({
+    samples,
+    baseRubric: base,
+    analysisOptions: { ltApiKey: LT_API_KEY, grammarBackend },
+    concurrency: BATCH_CONCURRENCY,
+    onProgress: (analysed, total) => progress("calibration", { analysed, total })
+  });
+  if (cal.used < CALIBRATION_MIN_SAMPLES) {
+    const counts = {};
+    for (const e of cal.excluded) counts[e.reason] = (counts[e.reason] || 0) + 1;
+    const reasons = Object.entries(counts).map(([reason, n]) => `${reason} : ${n}`);
+    throw finalError(`Seulement ${cal.used} copie(s) exploitable(s) (min ${CALIBRATION_MIN_SAMPLES})${reasons.length ? ` ; exclues : ${reasons.join(", ")}` : ""}.`);
+  }
+  const rubric = {
+    label: save?.label || `${base.label} (calibré)`,
+    weights: cal.weights,
+    thresholds: base.thresholds,
+    cefr: base.cefr,
+    scoring: cal.scoring,
+    ...(base.genre ? { genre: base.genre } : {}),
+    ...(base.feedback ? { feedback: base.feedback } : {})
+  };
+  let saved = null;
+  if (save) {
+    const out = saveRubric(save.id, rubric);
+    if (out.conflict) throw finalError(`Barème '${save.id}' déjà existant.`);
+    if (out.error) throw finalError(out.error);
+    saved = save.id;
+  }
+  return {
+    baseRubricId: base.id,
+    samples: samples.length,
+    used: cal.used,
+    excluded: cal.excluded,
+    before: cal.before,
+    after: cal.after,
+    warnings: cal.warnings,
+    rubric,
+    saved
+  };
+}
+
+// ----- Historique apprenant (limité au locataire appelant) -----
+// Frise chronologique (filtrable par ?assignmentId=)
+app.get("/learners/:learnerId/timeline", (req, res) => {
+  const timeline = learnerTimeline(req.params.learnerId, { tenantId: req.tenant?.id ?? null, assignmentId: req.query.assignmentId });
+  res.json({ learnerId: req.params.learnerId, count: timeline.length, timeline });
+});
+
+// Règles LanguageTool les plus récurrentes (?limit=, défaut 10)
+app.get("/learners/:learnerId/recurring-rules", (req, res) => {
+  const limit = Math.max(1, Math.min(100, Number(req.query.limit) || 10));
+  res.json({ learnerId: req.params.learnerId, rules: recurringRules(req.params.learnerId, { tenantId: req.tenant?.id ?? null, limit }) });
+});
+
+// « Top 5 » des points à travailler
+app.get("/learners/:learnerId/focus", (req, res) => {
+  res.json({ learnerId: req.params.learnerId, ...learnerFocus(req.params.learnerId, { tenantId: req.tenant?.id ?? null }) });
+});
+
+// ----- Plagiat / collusion (devoirs du locataire appelant) -----
+// Enregistre un texte source pour un devoir. body: { id?, text }
+app.post("/assignments/:assignmentId/sources", (req, res) => {
+  const { id = crypto.randomUUID(), text } = req.body || {};
+  if (!text || typeof text !== "string") {
+    return res.status(400).json({ error: "Champ 'text' requis (string)." });
+  }
+  if (!isValidId(id)) {
+    return res.status(400).json({ error: "Champ 'id' invalide (string ou nombre)." });
+  }
+  res.status(201).json(registerSource({ tenantId: req.tenant?.id ?? null, assignmentId: req.params.assignmentId, id, text }));
+});
+
+// Paires suspectes (?threshold=, défaut PLAGIARISM_THRESHOLD)
+app.get("/assignments/:assignmentId/suspicious-pairs", (req, res) => {
+  const threshold = req.query.threshold !== undefined && Number.isFinite(Number(req.query.threshold))
+    ? Number(req.query.threshold)
+    : PLAGIARISM_THRESHOLD;
+  const pairs = suspiciousPairs(req.params.assignmentId, { tenantId: req.tenant?.id ?? null, threshold });
+  res.json({ assignmentId: req.params.assignmentId, threshold, count: pairs.length, pairs });
+});
+
+// ----- Usage par locataire -----
+// Usage du locataire authentifié (?days=, défaut 30)
+app.get("/usage", (req, res) => {
+  if (!req.tenant) return res.status(404).json({ error: "Authentification désactivée : aucun locataire." });
+  const days = Math.max(1, Math.min(365, Number(req.query.days) || 30));
+  res.json(tenantUsage(req.tenant, days));
+});
+
+// Locataires et usage du jour (locataire admin)
+app.get("/tenants", (req, res) => {
+  if (!req.tenant?.admin) return res.status(403).json({ error: "Réservé au locataire administrateur." });
+  const tenants = listTenants().map(t => {
+    const { today, remainingToday } = tenantUsage(getTenant(t.id), 1);
+    return { ...t, today, remainingToday };
+  });
+  res.json({ count: tenants.length, tenants });
+});
+
+// Usage d’un locataire (admin, ou le locataire lui-même)
+app.get("/tenants/:tenantId/usage", (req, res) => {
+  if (!req.tenant) return res.status(404).json({ error: "Authentification désactivée : aucun locataire." });
+  if (!req.tenant.admin && req.tenant.id !== req.params.tenantId) {
+    return res.status(403).json({ error: "Accès réservé au locataire concerné ou à l’administrateur." });
+  }
+  const tenant = getTenant(req.params.tenantId);
+  if (!tenant) return res.status(404).json({ error: `Locataire '${req.params.tenantId}' inconnu.` });
+  const days = Math.max(1, Math.min(365, Number(req.query.days) || 30));
+  res.json(tenantUsage(tenant, days));
 });
 
 // ----- Lancement -----
 app.listen(PORT, () => {
-  console.log(`[analyse-texte] Écoute sur : http://0.0.0.0:${PORT}`);
+  logger.info(`Écoute sur : http://0.0.0.0:${PORT}`, { port: PORT });
 });
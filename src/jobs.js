@@ -0,0 +1,293 @@
+// File de tâches asynchrones (analyses longues) avec reprises et webhooks.
+// - en mémoire + journal JSONL (JOBS_FILE, défaut ./var/jobs.jsonl ; "off" = mémoire seule) :
+//   chaque changement d’état (pas la progression) ajoute une ligne ; les tâches queued/running reprennent
+//   après redémarrage
+// - maintenance au démarrage puis toutes les 10 min : purge des tâches terminées depuis plus de JOBS_TTL_HOURS
+//   (webhook livré ou abandonné), réécriture du journal (une ligne par tâche restante)
+// - reprises : JOBS_MAX_ATTEMPTS essais, attente exponentielle (JOBS_BACKOFF_MS × 2^(essai-1), max 60 s)
+// - webhook facultatif : POST JSON signé HMAC-SHA256 (en-tête X-Signature: sha256=<hex> sur "<timestamp>.<corps>") ;
+//   hôtes non publics refusés à la soumission et à chaque envoi (SSRF), sauf WEBHOOK_ALLOW_PRIVATE=1
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import { logger, withLogContext } from "./logger.js";
+import { checkPublicUrl, publicHttpAgent, publicHttpsAgent } from "./utils/netGuard.js";
+
+const FILE = (process.env.JOBS_FILE || path.join(process.cwd(), "var", "jobs.jsonl")).trim();
+const PERSIST = FILE.toLowerCase() !== "off";
+const CONCURRENCY = Number(process.env.JOBS_CONCURRENCY || 2);
+const MAX_ATTEMPTS = Number(process.env.JOBS_MAX_ATTEMPTS || 3);
+const BACKOFF_MS = Number(process.env.JOBS_BACKOFF_MS || 2000);
+const TTL_MS = Number(process.env.JOBS_TTL_HOURS || 72) * 3_600_000;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const WEBHOOK_TIMEOUT_MS = 10_000;
+const MAINTENANCE_MS = 10 * 60_000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1"; // réseau interne de confiance (dev, intranet)
+
+const jobs = new Map(); // id -> job
+let writeQueue = Promise.resolve();
+let handler = null;
+let secretFor = () => null;
+let running = 0;
+let timer = null;
+let maintenanceTimer = null;
+let appended = 0; // lignes ajoutées au journal depuis la dernière réécriture
+
+const backoff = attempt => Math.min(60_000, BACKOFF_MS * 2 ** (attempt - 1)) * (0.8 + Math.random() * 0.4);
+
+// Ligne de journal : progression omise (reconstruite à la reprise, couverte par result une fois terminée) ;
+// inFlight (livraison webhook en cours dans ce processus) n’est jamais persisté
+const serialize = job => {
+  const webhook = job.webhook && { ...job.webhook };
+  if (webhook) delete webhook.inFlight;
+  return JSON.stringify({ ...job, progress: {}, ...(webhook && { webhook }) }) + "\n";
+};
+
+function persist(job) {
+  if (!PERSIST) return;
+  const line = serialize(job);
+  writeQueue = writeQueue
+    .then(() => fsp.mkdir(path.dirname(FILE), { recursive: true }))
+    .then(() => fsp.appendFile(FILE, line))
+    .catch(e => logger.warn("job store write failed", { error: e?.message || String(e) }));
+  appended++;
+}
+
+// save: false pour la progression (état transitoire, non journalisé)
+function update(job, patch, { save = true } = {}) {
+  Object.assign(job, patch, { updatedAt: Date.now() });
+  if (save) persist(job);
+}
+
+// Tâche terminée depuis plus de TTL_MS, sans webhook en attente
+function expired(job, now) {
+  const done = job.status === "succeeded" || job.status === "failed";
+  return done && job.webhook?.status !== "pending" && now - job.updatedAt > TTL_MS;
+}
+
+// Purge des tâches expirées puis réécriture du journal (fichier temporaire renommé, après les écritures en cours)
+function maintain() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [id, job] of jobs) {
+    if (expired(job, now)) { jobs.delete(id); removed++; }
+  }
+  if (!PERSIST || (!removed && !appended)) return;
+  appended = 0;
+  const snapshot = [...jobs.values()].map(serialize).join("");
+  const tmp = `${FILE}.tmp`;
+  writeQueue = writeQueue
+    .then(() => fsp.mkdir(path.dirname(FILE), { recursive: true }))
+    .then(() => fsp.writeFile(tmp, snapshot))
+    .then(() => fsp.rename(tmp, FILE))
+    .catch(e => logger.warn("job store compaction failed", { error: e?.message || String(e) }));
+}
+
+// Chargement + compaction (dernier état de chaque tâche, tâches terminées expirées retirées)
+if (PERSIST) {
+  try {
+    for (const line of fs.readFileSync(FILE, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        const job = JSON.parse(line);
+        jobs.set(job.id, job);
+      } catch { /* ligne corrompue */ }
+    }
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (expired(job, now)) jobs.delete(id);
+      else if (job.status === "running") Object.assign(job, { status: "queued", nextRunAt: now }); // interrompue
+      if (job.webhook) delete job.webhook.inFlight; // journaux antérieurs : livraison interrompue, à reprendre
+    }
+    fs.writeFileSync(FILE, [...jobs.values()].map(serialize).join(""));
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("job store read failed", { error: e?.message || String(e) });
+  }
+}
+
+/** Vue exposée d’une tâche (sans la requête, qui peut contenir la config secrète d’un exercice) */
+export function publicJob(job) {
+  if (!job) return null;
+  const { request, tenantId, webhook, ...rest } = job;
+  return {
+    ...rest,
+    webhook: webhook ? { url: webhook.url, status: webhook.status, attempts: webhook.attempts, deliveredAt: webhook.deliveredAt ?? null } : null
+  };
+}
+
+/**
+ * Tâche par id, restreinte au locataire (null = sans authentification).
+ * @returns {object|null}
+ */
+export function getJob(id, tenantId = null) {
+  const job = jobs.get(String(id));
+  return job && (job.tenantId ?? null) === (tenantId ?? null) ? job : null;
+}
+
+/**
+ * Crée une tâche.
+ * @param {{ request: object, tenantId?: string|null, webhookUrl?: string|null }} p
+ */
+export function createJob({ request, tenantId = null, webhookUrl = null }) {
+  const now = Date.now();
+  const job = {
+    id: crypto.randomUUID(),
+    tenantId,
+    status: "queued",
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    createdAt: now,
+    updatedAt: now,
+    nextRunAt: now,
+    progress: {},
+    result: null,
+    error: null,
+    request,
+    webhook: webhookUrl
+      ? { url: webhookUrl, status: "pending", attempts: 0, nextAttemptAt: null, lastError: null }
+      : null
+  };
+  jobs.set(job.id, job);
+  persist(job);
+  schedule(0);
+  return job;
+}
+
+// ----- Exécution -----
+
+function schedule(delay) {
+  if (!handler) return;
+  if (timer) clearTimeout(timer);
+  timer = setTimeout(pump, Math.max(0, delay));
+  timer.unref?.();
+}
+
+// Lance les tâches (et webhooks) dus dans la limite de concurrence, puis se replanifie sur la prochaine échéance
+function pump() {
+  timer = null;
+  const now = Date.now();
+  let next = Infinity;
+  for (const job of jobs.values()) {
+    if (job.status === "queued") {
+      if (job.nextRunAt <= now && running < CONCURRENCY) run(job);
+      else if (job.nextRunAt > now) next = Math.min(next, job.nextRunAt);
+    }
+    const wh = job.webhook;
+    if (wh?.status === "pending" && (job.status === "succeeded" || job.status === "failed") && !wh.inFlight) {
+      if ((wh.nextAttemptAt ?? 0) <= now) deliver(job);
+      else next = Math.min(next, wh.nextAttemptAt);
+    }
+  }
+  if (Number.isFinite(next)) schedule(next - now);
+}
+
+async function run(job) {
+  running++;
+  const attempt = job.attempts + 1;
+  update(job, { status: "running", attempts: attempt, startedAt: Date.now() });
+  try {
+    const result = await withLogContext({ jobId: job.id }, () => handler(job.request, {
+      attempt,
+      final: attempt >= job.maxAttempts,
+      progress: (stage, partial) => update(job, { progress: { ...job.progress, [stage]: partial } }, { save: false })
+    }));
+    update(job, { status: "succeeded", result, error: null, finishedAt: Date.now() });
+  } catch (e) {
+    const message = e?.message || "Erreur inconnue";
+    if (e?.retryable !== false && attempt < job.maxAttempts) {
+      const delay = backoff(attempt);
+      logger.warn("job attempt failed", { jobId: job.id, attempt, maxAttempts: job.maxAttempts, error: message, retryInMs: Math.round(delay) });
+      update(job, { status: "queued", error: message, nextRunAt: Date.now() + delay });
+    } else {
+      update(job, { status: "failed", error: message, finishedAt: Date.now() });
+    }
+  } finally {
+    running--;
+    schedule(0);
+  }
+}
+
+/**
+ * Vérifie une URL de webhook : http(s), hôte résolu vers des adresses publiques (sauf WEBHOOK_ALLOW_PRIVATE).
+ * @param {string} url
+ * @returns {Promise<string|null>} motif du refus, null si acceptée
+ */
+export async function checkWebhookUrl(url) {
+  let parsed = null;
+  try { parsed = new URL(String(url)); } catch { /* invalide */ }
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) return "URL http ou https attendue";
+  return WEBHOOK_ALLOW_PRIVATE ? null : checkPublicUrl(parsed.href);
+}
+
+/** Signature d’un corps de webhook : HMAC-SHA256 hex de "<timestamp>.<corps>" */
+export function signWebhook(body, timestamp, secret) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function deliver(job) {
+  const wh = job.webhook;
+  const secret = secretFor(job.tenantId);
+  if (!secret) {
+    update(job, { webhook: { ...wh, status: "failed", lastError: "Secret de signature indisponible" } });
+    return;
+  }
+  wh.inFlight = true;
+  const refused = await checkWebhookUrl(wh.url);
+  if (refused) {
+    wh.inFlight = false;
+    update(job, { webhook: { ...wh, status: "failed", attempts: wh.attempts + 1, lastError: `Webhook refusé : ${refused}` } });
+    schedule(0);
+    return;
+  }
+  const body = JSON.stringify({ id: job.id, status: job.status, result: job.result, error: job.status === "failed" ? job.error : null });
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    await axios.post(wh.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Job-Id": job.id,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Signature": `sha256=${signWebhook(body, timestamp, secret)}`
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      ...(WEBHOOK_ALLOW_PRIVATE ? {} : { httpAgent: publicHttpAgent, httpsAgent: publicHttpsAgent, proxy: false })
+    });
+    update(job, { webhook: { ...wh, inFlight: false, status: "delivered", attempts: wh.attempts + 1, deliveredAt: Date.now(), lastError: null } });
+  } catch (e) {
+    const attempts = wh.attempts + 1;
+    const lastError = e?.response ? `HTTP ${e.response.status}` : e?.message || "Erreur inconnue";
+    const failed = attempts >= WEBHOOK_MAX_ATTEMPTS;
+    update(job, {
+      webhook: { ...wh, inFlight: false, attempts, lastError, status: failed ? "failed" : "pending", nextAttemptAt: failed ? null : Date.now() + backoff(attempts) }
+    });
+  } finally {
+    schedule(0);
+  }
+}
+
+/**
+ * Démarre le traitement de la file.
+ * @param {(request: object, ctx: { attempt: number, final: boolean, progress: Function }) => Promise<object>} fn
+ *   lève une erreur pour demander une reprise (err.retryable === false : échec définitif)
+ * @param {{ webhookSecret?: (tenantId: string|null) => string|null }} [opts] - secret HMAC des webhooks
+ */
+export function startJobWorker(fn, { webhookSecret } = {}) {
+  handler = fn;
+  if (webhookSecret) secretFor = webhookSecret;
+  if (!maintenanceTimer) {
+    maintenanceTimer = setInterval(maintain, MAINTENANCE_MS);
+    maintenanceTimer.unref?.();
+  }
+  schedule(0);
+}
+
+/** Compteurs par statut */
+export function jobStats() {
+  const stats = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+  for (const job of jobs.values()) stats[job.status] = (stats[job.status] || 0) + 1;
+  return stats;
+}
@@ -0,0 +1,75 @@
+// Identification de langue par phrase et rapport de mélange de langues.
+// franc (restreint aux langues gérées) + indices de mots vides par langue, phrase par phrase.
+import { francAll } from "franc-min";
+import { iso3ToIso2 } from "./utils/lang.js";
+import { STOP } from "./utils/stopwords.js";
+import { wordTokens } from "./utils/tokenize.js";
+import { splitSentences } from "./complexity.js";
+
+const ONLY = ["fra", "eng", "deu", "spa", "ita", "por", "rus", "kor", "jpn", "cmn", "nld", "tur", "pol", "arb"];
+const MIN_WORDS = 3;         // phrases plus courtes : langue héritée de la voisine
+const STOP_BONUS = 0.1;      // bonus par mot vide de la langue candidate
+const MIN_MARGIN = 0.15;     // écart requis pour déclarer une phrase « étrangère »
+
+const stopSets = Object.fromEntries(Object.entries(STOP).map(([l, ws]) => [l, new Set(ws)]));
+
+// Scores par langue (iso2) pour une phrase
+function sentenceScores(sentence, expected) {
+  const scores = {};
+  for (const [iso3, sc] of francAll(sentence, { minLength: 1, only: ONLY }).slice(0, 5)) {
+    const l = iso3ToIso2(iso3);
+    if (l !== "und") scores[l] = Math.max(scores[l] || 0, sc);
+  }
+  if (expected && expected !== "und" && !(expected in scores)) scores[expected] = 0;
+
+  const toks = wordTokens(sentence);
+  for (const l of Object.keys(scores)) {
+    const set = stopSets[l];
+    if (set) scores[l] += STOP_BONUS * toks.filter(t => set.has(t)).length;
+  }
+  return scores;
+}
+
+/**
+ * @param {string} text
+ * @param {string} expected - langue attendue (ou détectée) ISO-639-1
+ * @returns {{ dominant: string, mixed: boolean, spans: { offset, length, lang, foreign }[] }}
+ */
+export function languageMix(text, expected) {
+  const sentences = splitSentences(text, expected);
+  const labelled = sentences.map(s => {
+    if (wordTokens(s.text).length < MIN_WORDS) return { ...s, lang: null };
+    const scores = sentenceScores(s.text, expected);
+    const [best, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || ["und", 0];
+    const expScore = scores[expected] ?? 0;
+    const lang = best !== expected && bestScore - expScore >= MIN_MARGIN ? best : (expected || best);
+    return { ...s, lang };
+  });
+
+  // Phrases trop courtes : langue de la précédente (ou suivante)
+  for (let i = 0; i < labelled.length; i++) {
+    if (labelled[i].lang) continue;
+    const prev = labelled.slice(0, i).reverse().find(s => s.lang);
+    const next = labelled.slice(i + 1).find(s => s.lang);
+    labelled[i].lang = prev?.lang || next?.lang || expected || "und";
+  }
+
+  // Fusion des phrases consécutives de même langue
+  const spans = [];
+  for (const s of labelled) {
+    const last = spans[spans.length - 1];
+    if (last && last.lang === s.lang) {
+      last.length = s.offset + s.text.length - last.offset;
+    } else {
+      spans.push({ offset: s.offset, length: s.text.length, lang: s.lang });
+    }
+  }
+
+  const chars = {};
+  spans.forEach(sp => { chars[sp.lang] = (chars[sp.lang] || 0) + sp.length; });
+  const dominant = Object.entries(chars).sort((a, b) => b[1] - a[1])[0]?.[0] || expected || "und";
+  const ref = expected && expected !== "und" ? expected : dominant;
+  spans.forEach(sp => { sp.foreign = sp.lang !== ref; });
+
+  return { dominant, mixed: spans.some(sp => sp.foreign), spans };
+}
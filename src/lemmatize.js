@@ -0,0 +1,88 @@
+// Lemmatisation légère :
+// - EN : compromise (forme racine : children -> child, bought -> buy)
+// - FR : règles de suffixes générant des candidats, départagés par un lexique (le premier connu gagne)
+import nlp from "compromise";
+
+// Suffixes verbaux FR (du plus long au plus court) -> terminaisons d’infinitif à essayer
+const FR_VERB_SUFFIXES = [
+  "erions", "eriez", "eraient", "assions", "assiez", "èrent",
+  "erons", "erez", "eront", "erais", "erait", "erai", "eras", "era",
+  "issons", "issez", "issent", "issais", "issait", "issaient", "issant",
+  "aient", "ions", "iez", "ais", "ait", "ant", "ées", "és", "ée", "é",
+  "ons", "ez", "ent", "es", "e", "is", "it", "ir", "er", "re", "u", "ue", "us", "ues"
+];
+const FR_INFINITIVES = ["er", "ir", "re", "oir"];
+
+// Formes irrégulières fréquentes (non couvertes par les règles de suffixes)
+const FR_IRREGULAR = {
+  ai: "avoir", as: "avoir", a: "avoir", avons: "avoir", avez: "avoir", ont: "avoir", eu: "avoir",
+  suis: "être", es: "être", est: "être", sommes: "être", êtes: "être", sont: "être", été: "être",
+  étais: "être", était: "être", étaient: "être", sera: "être", seront: "être",
+  vais: "aller", vas: "aller", va: "aller", vont: "aller", irai: "aller", ira: "aller",
+  fais: "faire", fait: "faire", faisons: "faire", faites: "faire", font: "faire", fera: "faire",
+  peux: "pouvoir", peut: "pouvoir", pouvons: "pouvoir", peuvent: "pouvoir", pu: "pouvoir",
+  veux: "vouloir", veut: "vouloir", voulons: "vouloir", veulent: "vouloir",
+  dois: "devoir", doit: "devoir", devons: "devoir", doivent: "devoir", dû: "devoir",
+  sais: "savoir", sait: "savoir", savons: "savoir", savent: "savoir", su: "savoir",
+  viens: "venir", vient: "venir", venons: "venir", viennent: "venir", venu: "venir",
+  prends: "prendre", prend: "prendre", prenons: "prendre", prennent: "prendre", pris: "prendre",
+  dis: "dire", dit: "dire", disons: "dire", dites: "dire", disent: "dire",
+  vois: "voir", voit: "voir", voyons: "voir", voient: "voir", vu: "voir",
+  leurs: "leur", mes: "mon", tes: "ton", ses: "son", nos: "notre", vos: "votre"
+};
+
+/**
+ * Candidats lemmes pour un mot FR (le mot lui-même en premier).
+ * @param {string} w - mot en minuscules
+ * @returns {string[]}
+ */
+export function frenchCandidates(w) {
+  const out = [w];
+  const push = x => { if (x && x.length > 1 && !out.includes(x)) out.push(x); };
+
+  // élisions : l’ami, d’abord, qu’il
+  const elided = w.match(/^(?:[ldjmnst]|qu|jusqu|lorsqu|puisqu)['’](.+)$/);
+  if (elided) return [...new Set([elided[1], ...frenchCandidates(elided[1])])];
+
+  if (FR_IRREGULAR[w]) push(FR_IRREGULAR[w]);
+
+  // pluriel / féminin (noms, adjectifs)
+  if (w.endsWith("aux")) push(w.slice(0, -3) + "al");
+  if (w.endsWith("eaux")) push(w.slice(0, -1));
+  if (/[sx]$/.test(w)) push(w.slice(0, -1));
+  const sing = /[sx]$/.test(w) ? w.slice(0, -1) : w;
+  if (sing.endsWith("euse")) push(sing.slice(0, -4) + "eur");
+  if (sing.endsWith("trice")) push(sing.slice(0, -5) + "teur");
+  if (sing.endsWith("ive")) push(sing.slice(0, -3) + "if");
+  if (sing.endsWith("enne")) push(sing.slice(0, -2));
+  if (sing.endsWith("elle")) push(sing.slice(0, -2));
+  if (sing.endsWith("ère")) push(sing.slice(0, -3) + "er");
+  if (sing.endsWith("e")) push(sing.slice(0, -1));
+
+  // formes verbales -> infinitifs
+  for (const suf of FR_VERB_SUFFIXES) {
+    if (w.length - suf.length < 2 || !w.endsWith(suf)) continue;
+    const stem = w.slice(0, -suf.length);
+    for (const inf of FR_INFINITIVES) push(stem + inf);
+    // mangeons -> manger, commençons -> commencer
+    if (stem.endsWith("ge")) push(stem.slice(0, -1) + "er");
+    if (stem.endsWith("ç")) push(stem.slice(0, -1) + "cer");
+  }
+  return out;
+}
+
+/**
+ * Candidats lemmes pour chaque mot d’un texte EN (forme de surface, puis racine compromise).
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function englishCandidates(text) {
+  const doc = nlp(text || "");
+  doc.compute("root");
+  return doc.json().flatMap(s => s.terms)
+    .filter(t => /\p{L}/u.test(t.normal || ""))
+    .map(t => {
+      const root = t.root === "is" ? "be" : t.root;
+      return [...new Set([t.normal, root].filter(Boolean))];
+    });
+}
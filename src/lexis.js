@@ -1,18 +1,91 @@
-export function lexisMetrics(text, lang="fr") {
-  const tokens = (text || "").toLowerCase().match(/\p{L}+/gu) || [];
+import { wordTokens } from "./utils/tokenize.js";
+import { STOP } from "./utils/stopwords.js";
+import { vocabularyProfile } from "./vocabulary.js";
+
+const MATTR_WINDOW = 50;
+const MTLD_THRESHOLD = 0.72;
+const VOCAB_SHARE = 0.4; // part de l’étendue du vocabulaire (profil CECRL) dans lexisScore
+
+// Moving-Average TTR : moyenne des TTR sur fenêtres glissantes (TTR brut si texte plus court)
+function mattr(tokens, win = MATTR_WINDOW) {
+  if (!tokens.length) return 0;
+  if (tokens.length <= win) return new Set(tokens).size / tokens.length;
+  const freq = new Map();
+  let types = 0, sum = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const w = tokens[i];
+    freq.set(w, (freq.get(w) || 0) + 1);
+    if (freq.get(w) === 1) types++;
+    if (i >= win) {
+      const old = tokens[i - win];
+      freq.set(old, freq.get(old) - 1);
+      if (freq.get(old) === 0) types--;
+    }
+    if (i >= win - 1) sum += types / win;
+  }
+  return sum / (tokens.length - win + 1);
+}
+
+// MTLD (McCarthy & Jarvis) : longueur moyenne des segments avant que le TTR passe sous 0.72
+function mtldPass(tokens) {
+  let factors = 0, types = new Set(), count = 0;
+  for (const w of tokens) {
+    types.add(w); count++;
+    if (types.size / count <= MTLD_THRESHOLD) { factors++; types = new Set(); count = 0; }
+  }
+  if (count) factors += (1 - types.size / count) / (1 - MTLD_THRESHOLD);
+  return factors ? tokens.length / factors : tokens.length;
+}
+function mtld(tokens) {
+  if (!tokens.length) return 0;
+  return (mtldPass(tokens) + mtldPass([...tokens].reverse())) / 2;
+}
+
+/** Constantes par défaut, surchargeables par barème (scoring) : MATTR donnant 100 en diversité */
+export const LEXIS_DEFAULTS = { diversityReference: 0.72 };
+
+/**
+ * Score lexical 0..100 à partir des mesures brutes (réutilisé par la calibration, voir calibration.js).
+ * @param {{ mattr: number, repeated: number, rangeScore: number|null }} m - MATTR, mots répétés, étendue CECRL (null : absente)
+ * @param {{ diversityReference?: number }|null} [scoring] - constantes du barème
+ */
+export function lexisScores({ mattr: mattrValue, repeated, rangeScore }, scoring = null) {
+  const reference = scoring?.diversityReference ?? LEXIS_DEFAULTS.diversityReference;
+  // heuristique score 0..100 (MATTR 0.72 ~ 100 ; 0.36 ~ 50, avec la référence par défaut)
+  const diversityScore = Math.round(Math.min(1, (mattrValue / reference)) * 100);
+  const repetPenalty = Math.min(40, repeated * 10);
+  const diversityLexis = Math.max(0, diversityScore - repetPenalty);
+  const lexisScore = rangeScore === null
+    ? diversityLexis
+    : Math.round(diversityLexis * (1 - VOCAB_SHARE) + rangeScore * VOCAB_SHARE);
+  return { diversityScore, lexisScore };
+}
+
+export function lexisMetrics(text, lang="fr", scoring = null) {
+  const tokens = wordTokens(text, lang);
   const total = tokens.length;
   const types = new Set(tokens).size;
-  const ttr = total ? types / total : 0; // type-token ratio
+  const ttr = total ? types / total : 0; // type-token ratio (brut, sensible à la longueur)
+  const ttrScore = Math.round(Math.min(1, (ttr / 0.5)) * 100); // ancien score (TTR 0.5 ~ 100), indicatif
+  const mattrValue = mattr(tokens);     // diversité robuste à la longueur
 
-  // répétitions grossières
+  // répétitions grossières (mots vides exclus)
+  const stop = new Set(STOP[lang] || []);
   const freq = {};
-  tokens.forEach(w => freq[w] = (freq[w] || 0) + 1);
+  tokens.forEach(w => { if (!stop.has(w)) freq[w] = (freq[w] || 0) + 1; });
   const repeatedTop = Object.entries(freq).filter(([,n]) => n >= 4).map(([w]) => w).slice(0,5);
 
-  // heuristique score 0..100 (TTR 0.5 ~ 100 ; <0.2 ~ 40)
-  const ttrScore = Math.round(Math.min(1, (ttr / 0.5)) * 100);
-  const repetPenalty = Math.min(40, repeatedTop.length * 10);
-  const lexisScore = Math.max(0, ttrScore - repetPenalty);
+  // étendue du vocabulaire (listes CECRL) si disponible pour la langue
+  const vocab = vocabularyProfile(text, lang);
+  const { diversityScore, lexisScore } = lexisScores(
+    { mattr: mattrValue, repeated: repeatedTop.length, rangeScore: vocab ? vocab.rangeScore : null }, scoring);
 
-  return { total, types, ttr: Number(ttr.toFixed(3)), ttrScore, repeatedTop, lexisScore };
+  return {
+    total, types,
+    ttr: Number(ttr.toFixed(3)),
+    ttrScore,
+    mattr: Number(mattrValue.toFixed(3)),
+    mtld: Number(mtld(tokens).toFixed(1)),
+    diversityScore, repeatedTop, vocab, lexisScore
+  };
 }
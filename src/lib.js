@@ -0,0 +1,117 @@
+// Point d’entrée bibliothèque : analyse d’un texte sans serveur HTTP (CLI, scripts, intégrations LMS).
+//   import { analyzeText } from "serveur-analyse-texte-node";
+// Même résultat que POST /analyse-text (sans locataire, quota, historique ni contrôle de plagiat).
+// Les variables d’environnement (LT_BASE_URL, GRAMMAR_BACKEND, HF_API_KEY…) sont lues à l’import des modules.
+
+import { analyzeText as runPipeline } from "./pipeline.js";
+import { getRubric, listRubrics } from "./rubricRegistry.js";
+import { validateEvalConfig } from "./evaluation.js";
+import { validateExercise } from "./exercises.js";
+import { GENRES } from "./genre.js";
+
+export { listRubrics };
+export { FEEDBACK_LOCALES } from "./feedback.js";
+export { GENRES };
+
+const GENRE_OPTIONS = [...GENRES, "none"];
+const EXPORT_FIELDS = ["version", "createdAt", "updatedAt"]; // champs ajoutés par la banque (vue admin)
+
+// Erreur de paramètres : message + details [{ path, message }] (même forme que les réponses 400 de l’API)
+function invalid(message, details = []) {
+  const err = new Error(message);
+  err.code = "invalid_input";
+  err.details = details;
+  return err;
+}
+
+/**
+ * Valide un exercice (format de la banque, éventuellement exporté avec version / dates).
+ * @param {object} exercise
+ * @returns {object} exercice sans les champs d’export
+ * @throws {Error} code "invalid_input", details : erreurs de validation
+ */
+export function loadExercise(exercise) {
+  if (!exercise || typeof exercise !== "object") throw invalid("Exercice invalide (objet attendu).");
+  const data = Object.fromEntries(Object.entries(exercise).filter(([k]) => !EXPORT_FIELDS.includes(k)));
+  const errors = validateExercise(data);
+  if (errors.length) throw invalid("Exercice invalide.", errors);
+  return data;
+}
+
+/**
+ * Analyse complète d’un texte.
+ * @param {object} options
+ * @param {string} options.text
+ * @param {object} [options.exercise] - exercice (voir loadExercise) : ses références, mots-clés, eval, langue,
+ *        barème et genre remplacent les options correspondantes (expectedAnswer(s), keywords et eval sont alors
+ *        ignorées, langue / barème / genre seulement si l’exercice les définit)
+ * @param {string} [options.expectedAnswer]
+ * @param {Array<string|object>} [options.expectedAnswers]
+ * @param {string} [options.expectedLang]
+ * @param {string[]} [options.keywords]
+ * @param {object|null} [options.eval] - configuration d’évaluation (voir evaluation.js)
+ * @param {string} [options.rubricId] - défaut DEFAULT_RUBRIC_ID
+ * @param {"letter"|"email"|"none"} [options.genre]
+ * @param {string|null} [options.locale] - langue des commentaires (fr/en/es/de)
+ * @param {string|null} [options.grammarBackend] - défaut GRAMMAR_BACKEND
+ * @param {string|null} [options.ltApiKey] - défaut LT_API_KEY
+ * @param {object|null} [options.feedbackTemplates]
+ * @param {(stage: string, partial: object) => void} [options.onProgress]
+ * @returns {Promise<object>} corps de réponse de /analyse-text
+ * @throws {Error} code "invalid_input" si les options sont invalides (details éventuels)
+ */
+export async function analyzeText(options = {}) {
+  const { text, exercise = null, genre = null, ltApiKey = process.env.LT_API_KEY || null, ...rest } = options;
+  if (!text || typeof text !== "string") throw invalid("Champ 'text' requis (string).");
+  if (genre != null && !GENRE_OPTIONS.includes(genre)) {
+    throw invalid(`Champ 'genre' invalide (${GENRE_OPTIONS.join(", ")}).`);
+  }
+
+  const ex = exercise ? loadExercise(exercise) : null;
+  const cfg = ex
+    ? {
+        expectedAnswer: ex.expectedAnswer || "",
+        expectedAnswers: ex.expectedAnswers || [],
+        expectedLang: ex.expectedLang || rest.expectedLang || "",
+        keywords: ex.keywords || [],
+        eval: ex.eval || null,
+        rubricId: ex.rubricId ?? rest.rubricId,
+        genre: ex.genre ?? genre
+      }
+    : {
+        expectedAnswer: rest.expectedAnswer || "",
+        expectedAnswers: rest.expectedAnswers || [],
+        expectedLang: rest.expectedLang || "",
+        keywords: rest.keywords || [],
+        eval: rest.eval || null,
+        rubricId: rest.rubricId,
+        genre
+      };
+  if (!ex) {
+    const errors = validateEvalConfig(cfg.eval);
+    if (errors.length) throw invalid("Configuration d’évaluation invalide.", errors);
+  }
+  const rubric = getRubric(cfg.rubricId);
+  if (!rubric) {
+    throw invalid(`Barème '${cfg.rubricId}' inconnu (disponibles : ${listRubrics().map(r => r.id).join(", ")}).`);
+  }
+
+  const result = await runPipeline({
+    text,
+    expectedAnswer: cfg.expectedAnswer,
+    expectedAnswers: cfg.expectedAnswers,
+    expectedLang: cfg.expectedLang,
+    keywords: cfg.keywords,
+    eval: cfg.eval,
+    rubric,
+    ltApiKey,
+    grammarBackend: rest.grammarBackend ?? null,
+    locale: rest.locale ?? null,
+    feedbackTemplates: rest.feedbackTemplates ?? null,
+    genre: cfg.genre,
+    hideAnswerKey: Boolean(ex),
+    onProgress: rest.onProgress ?? null
+  });
+  if (ex?.id) result.exercise = { id: ex.id, version: exercise.version ?? null };
+  return result;
+}
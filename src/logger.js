@@ -0,0 +1,41 @@
+// Journalisation structurée : une ligne JSON par événement sur stdout (stderr pour warn/error).
+// - LOG_LEVEL : debug | info (défaut) | warn | error
+// - LOG_FORMAT : json (défaut) | text (lisible en développement)
+// - contexte (reqId, jobId…) propagé aux appels asynchrones via AsyncLocalStorage (withLogContext)
+
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || "info").trim().toLowerCase()] ?? LEVELS.info;
+const TEXT = (process.env.LOG_FORMAT || "json").trim().toLowerCase() === "text";
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Exécute fn avec des champs ajoutés à toutes les lignes de journal émises pendant son exécution.
+ * @param {object} fields - ex. { reqId }, { jobId }
+ * @param {Function} fn
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = { ts: new Date().toISOString(), level, msg, ...(context.getStore() || {}), ...fields };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  if (TEXT) {
+    const { ts, level: _l, msg: _m, ...rest } = entry;
+    const extra = Object.keys(rest).length ? " " + JSON.stringify(rest) : "";
+    stream.write(`${ts} ${level.toUpperCase()} ${msg}${extra}\n`);
+  } else {
+    stream.write(JSON.stringify(entry) + "\n");
+  }
+}
+
+export const logger = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
@@ -0,0 +1,122 @@
+// Métriques au format texte Prometheus (exposées sur GET /metrics).
+// Compteurs et histogrammes en mémoire, étiquettes libres ; pas de dépendance externe.
+
+const registry = new Map(); // nom -> métrique
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const SCORE_BUCKETS = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+
+const escapeLabel = v => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const labelKey = labels => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.entries(all).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function counter(name, help) {
+  const series = new Map(); // labelKey -> { labels, value }
+  const metric = {
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labels);
+      const s = series.get(key) || series.set(key, { labels, value: 0 }).get(key);
+      s.value += n;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const s of series.values()) lines.push(`${name}${formatLabels(s.labels)} ${s.value}`);
+      return lines;
+    }
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map(); // labelKey -> { labels, counts[], sum, count }
+  const metric = {
+    observe(labels, value) {
+      if (!Number.isFinite(value)) return;
+      const key = labelKey(labels);
+      const s = series.get(key) || series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }).get(key);
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const s of series.values()) {
+        buckets.forEach((b, i) => lines.push(`${name}_bucket${formatLabels(s.labels, { le: b })} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels(s.labels, { le: "+Inf" })} ${s.count}`);
+        lines.push(`${name}_sum${formatLabels(s.labels)} ${Number(s.sum.toFixed(6))}`);
+        lines.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+      }
+      return lines;
+    }
+  };
+  registry.set(name, metric);
+  return metric;
+}
+
+// Jauge calculée à la lecture : fn() -> [{ labels, value }]
+function gauge(name, help, fn) {
+  registry.set(name, {
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels = {}, value } of fn()) lines.push(`${name}${formatLabels(labels)} ${value}`);
+      return lines;
+    }
+  });
+}
+
+const httpRequests = counter("http_requests_total", "Requêtes HTTP traitées");
+const httpDuration = histogram("http_request_duration_seconds", "Durée des requêtes HTTP", LATENCY_BUCKETS);
+const stageDuration = histogram("analysis_stage_duration_seconds", "Durée de chaque étape du pipeline d’analyse", LATENCY_BUCKETS);
+const upstreamRequests = counter("upstream_requests_total", "Appels aux dépendances (correcteur, embeddings) par issue");
+const upstreamErrors = counter("upstream_errors_total", "Échecs des dépendances (correcteur, embeddings)");
+const scores = histogram("analysis_score", "Distribution des scores (overall et axes du barème)", SCORE_BUCKETS);
+const analyses = counter("analyses_total", "Analyses terminées");
+
+gauge("process_uptime_seconds", "Durée de fonctionnement du processus", () => [{ value: Math.round(process.uptime()) }]);
+gauge("process_resident_memory_bytes", "Mémoire résidente du processus", () => [{ value: process.memoryUsage().rss }]);
+
+/** Requête HTTP terminée (route = motif Express, ex. "/jobs/:id", pour limiter la cardinalité) */
+export function observeRequest({ method, route, status, seconds }) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+/** Durée d’une étape du pipeline (lang, structure, content, grammar, semantic, rubric) */
+export function observeStage(stage, seconds) {
+  stageDuration.observe({ stage }, seconds);
+}
+
+/** Appel à une dépendance : dependency = "languagetool" | "rules" | "mock" | "hf" | "local" */
+export function recordUpstream(dependency, ok) {
+  upstreamRequests.inc({ dependency, outcome: ok ? "ok" : "error" });
+  if (!ok) upstreamErrors.inc({ dependency });
+}
+
+/** Scores d’une analyse terminée (sortie de rubricAggregate) */
+export function observeScores(rubricScore) {
+  analyses.inc({ rubric: rubricScore.rubricId, band: rubricScore.band });
+  scores.observe({ axis: "overall", rubric: rubricScore.rubricId }, rubricScore.overall);
+  for (const [axis, v] of Object.entries(rubricScore.breakdown)) {
+    scores.observe({ axis, rubric: rubricScore.rubricId }, v);
+  }
+}
+
+/**
+ * Jauge alimentée par un module (file de tâches, caches…).
+ * @param {string} name
+ * @param {string} help
+ * @param {() => { labels?: object, value: number }[]} fn
+ */
+export function registerGauge(name, help, fn) {
+  gauge(name, help, fn);
+}
+
+/** Toutes les métriques, format d’exposition texte Prometheus 0.0.4 */
+export function renderMetrics() {
+  return [...registry.values()].flatMap(m => m.render()).join("\n") + "\n";
+}
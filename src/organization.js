@@ -1,19 +1,65 @@
-export function organizationMetrics(text, lang="fr") {
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isCjk, wordTokens } from "./utils/tokenize.js";
+import { logger } from "./logger.js";
+
+// Connecteurs par langue (src/data/connectors.json)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+let CONNECTORS = {};
+try {
+  CONNECTORS = JSON.parse(fs.readFileSync(path.join(__dirname, "data", "connectors.json"), "utf8"));
+} catch (e) {
+  logger.warn("connectors unavailable", { error: e?.message || String(e) });
+}
+
+// Minuscules, apostrophes typographiques unifiées ; accents/harakat retirés hors CJK
+function normConn(s, lang) {
+  const t = (s || "").toLowerCase().replace(/[’‘]/g, "'");
+  return isCjk(lang) ? t : t.normalize("NFKD").replace(/\p{M}/gu, "");
+}
+
+// Langues à mots séparés : on exige des frontières de mot (évite "puis" dans "depuis").
+// CJK et arabe (particules/préfixes collés) : recherche de sous-chaîne.
+function hasConnector(lower, conn, lang) {
+  if (isCjk(lang) || lang === "ar") return lower.includes(conn);
+  const escaped = conn.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "u").test(lower);
+}
+
+/** Constantes par défaut, surchargeables par barème (scoring) */
+export const ORGANIZATION_DEFAULTS = { paragraphTarget: 3, pointsPerConnector: 25 };
+
+/**
+ * Sous-scores 0..100 à partir des comptes (réutilisé par la calibration, voir calibration.js).
+ * @param {number} paragraphs
+ * @param {number|null} connectorCount - null sans lexique de connecteurs pour la langue
+ * @param {{ paragraphTarget?: number, pointsPerConnector?: number }|null} [scoring] - constantes du barème
+ */
+export function organizationScores(paragraphs, connectorCount, scoring = null) {
+  const paragraphTarget = scoring?.paragraphTarget ?? ORGANIZATION_DEFAULTS.paragraphTarget;
+  const pointsPerConnector = scoring?.pointsPerConnector ?? ORGANIZATION_DEFAULTS.pointsPerConnector;
+  return {
+    paraScore: Math.min(100, Math.round((paragraphs / paragraphTarget) * 100)),  // 3+ paragraphes = 100 (défaut)
+    connScore: connectorCount === null ? null : Math.min(100, connectorCount * pointsPerConnector) // 4+ connecteurs = 100
+  };
+}
+
+export function organizationMetrics(text, lang="fr", scoring = null) {
   const t = (text || "").trim();
   const paragraphs = t.split(/\n{2,}/).filter(Boolean).length || 1;
-  const words = t.split(/\s+/).filter(Boolean).length;
+  const words = isCjk(lang) ? wordTokens(t, lang).length : t.split(/\s+/).filter(Boolean).length;
 
-  // Connecteurs courants (ex FR + EN ; tu peux étendre DE/ES/RU/KO/JA/ZH)
-  const connectors = {
-    fr: ["d'abord","ensuite","puis","enfin","cependant","toutefois","par conséquent","de plus","en revanche"],
-    en: ["first","then","next","finally","however","nevertheless","therefore","moreover","on the other hand"]
-  }[lang] || [];
-  const lower = t.toLowerCase();
-  const foundConn = connectors.filter(c => lower.includes(c)).length;
+  // Connecteurs courants (toutes les langues de utils/lang.js) ; langue inconnue => connScore null
+  const connectors = CONNECTORS[lang] || null;
+  const lower = normConn(t, lang);
+  const connectorsFound = connectors
+    ? connectors.filter(c => hasConnector(lower, normConn(c, lang), lang))
+    : [];
 
   // scores simples 0..100
-  const paraScore = Math.min(100, Math.round((paragraphs / 3) * 100));  // 3+ paragraphes = 100
-  const connScore  = Math.min(100, foundConn * 25);                      // 4+ connecteurs = 100
+  const { paraScore, connScore } = organizationScores(paragraphs, connectors ? connectorsFound.length : null, scoring);
 
-  return { paragraphs, words, paraScore, connScore };
+  return { paragraphs, words, paraScore, connScore, connectorsFound };
 }
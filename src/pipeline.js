@@ -0,0 +1,267 @@
+// Pipeline d’analyse d’un texte (partagé par /analyse-text et /analyse-batch)
+// Étapes : langue → structure → contenu → correcteur (LanguageTool / règles hors-ligne) ∥ similarités → barème CECRL
+// Chaque étape terminée est signalée à onProgress(stage, fragment), fragment ayant la forme de la réponse finale
+// (mêmes clés) : lang, structure, content, grammar, semantic, rubric — dans cet ordre.
+
+import { franc } from "franc-min";
+
+import { iso3ToIso2 } from "./utils/lang.js";
+import { checkGrammar } from "./grammar.js";
+import { similarityScore, grammarSpellingScores, structureHeuristics } from "./scoring.js";
+import { evaluateAnswer } from "./evaluation.js";
+import { redactRuleReason } from "./contentRules.js";
+import { rubricAggregate } from "./rubricScoring.js";
+import { semanticSimilarity } from "./semantic.js";
+import { normalizeReferences, bestReference } from "./references.js";
+import { annotateText } from "./annotate.js";
+import { classifyMatch } from "./taxonomy.js";
+import { languageMix } from "./languageMix.js";
+import { stylometry } from "./stylometry.js";
+import { generateFeedback, pickLocale } from "./feedback.js";
+import { observeStage, observeScores } from "./metrics.js";
+
+/**
+ * Analyse complète d’un texte (le champ `text` doit avoir été validé en amont).
+ * @param {object} opts
+ * @param {string} opts.text
+ * @param {string} [opts.expectedAnswer]
+ * @param {Array<string|object>} [opts.expectedAnswers]  références multiples (voir references.js)
+ * @param {string} [opts.expectedLang]
+ * @param {string[]} [opts.keywords]
+ * @param {object|null} [opts.eval]   config evaluateAnswer
+ * @param {object} opts.rubric        barème normalisé (voir rubricRegistry.js)
+ * @param {string|null} [opts.ltApiKey]
+ * @param {string|null} [opts.grammarBackend]  backends du correcteur (défaut GRAMMAR_BACKEND, voir grammar.js)
+ * @param {string|null} [opts.locale]  langue des commentaires (fr/en/es/de ; défaut : langue du texte, sinon fr)
+ * @param {object|null} [opts.feedbackTemplates]  gabarits de commentaires du locataire (voir feedback.js)
+ * @param {boolean} [opts.hideAnswerKey]  configuration issue d’un exercice : notions attendues masquées (commentaires, content.reasons)
+ * @param {string|null} [opts.genre]  conventions d’écrit vérifiées : "letter" | "email" | "none" (défaut : genre du barème)
+ * @param {(stage: string, partial: object) => void} [opts.onProgress]  fragment de réponse après chaque étape
+ * @returns {Promise<object>} corps de réponse de /analyse-text
+ */
+export async function analyzeText({
+  text,
+  expectedAnswer = "",
+  expectedAnswers = [],
+  expectedLang = "",
+  keywords = [],
+  eval: evalCfg = null,
+  rubric,
+  ltApiKey = null,
+  grammarBackend = null,
+  locale = null,
+  feedbackTemplates = null,
+  genre = null,
+  hideAnswerKey = false,
+  onProgress = null
+}) {
+  // Fin d’étape : durée depuis `start` (histogramme /metrics) puis fragment de réponse pour onProgress
+  const progress = (stage, partial, start, end = performance.now()) => {
+    observeStage(stage, (end - start) / 1000);
+    onProgress?.(stage, partial);
+  };
+  let since = performance.now();
+
+  // 1) Détection langue (+ langue par phrase)
+  const detectedIso3 = franc(text, { minLength: 10 });
+  const lang = iso3ToIso2(detectedIso3);
+  const mix = languageMix(text, expectedLang || lang);
+  progress("lang", { lang, languageMix: mix }, since);
+  since = performance.now();
+
+  // 2) Heuristiques de structure
+  const struct = structureHeuristics(text, keywords, expectedLang || lang);
+  progress("structure", {
+    details: { hasVerb: struct.hasVerb, keywordScore: struct.keywordScore, keywordsFound: struct.found, keywordsTotal: struct.total }
+  }, since);
+  since = performance.now();
+
+  // 3) Évaluation de contenu (optionnelle) pilotée par le front
+  let contentEval = { contentScore: 0, isCorrect: false, reasons: [] };
+  if (evalCfg) {
+    contentEval = evaluateAnswer(text, evalCfg, expectedLang || lang);
+  }
+  // Version renvoyée : règles d’un exercice réduites à des nombres (les commentaires utilisent contentEval)
+  const content = hideAnswerKey
+    ? { ...contentEval, reasons: contentEval.reasons.map(r => (r.rule === "rules" ? redactRuleReason(r) : r)) }
+    : contentEval;
+  progress("content", { content }, since);
+
+  // Étapes lentes lancées en parallèle : correcteur et similarité sémantique
+  const slowStart = performance.now();
+  // 4) Correcteur (LanguageTool, repli sur le moteur hors-ligne ; voir grammar.js)
+  const pendingGrammar = checkGrammar(text, expectedLang || (lang !== "und" ? lang : ""), { ltApiKey, backend: grammarBackend });
+
+  // Références : expectedAnswer/expectedAnswers, sinon celles de eval
+  let refs = normalizeReferences(expectedAnswer, expectedAnswers);
+  if (!refs.length && evalCfg) refs = normalizeReferences(evalCfg.expectedAnswer, evalCfg.expectedAnswers);
+
+  // 5) Similarité "lettres/mots" + sémantique (backend HF ou local, voir semantic.js) 0..100, par référence
+  const pendingRefs = Promise.all(refs.map(async ref => ({
+    ref,
+    lexical: similarityScore(text, ref.text),
+    semantic: await semanticSimilarity(text, ref.text)
+  }))).then(perRef => ({ perRef, end: performance.now() }));
+
+  const grammar = await pendingGrammar;
+  const matches = grammar.checker ? grammar.matches : null; // null : scores « unavailable »
+  const ltError = grammar.errors.find(e => e.checker === "languagetool") ? "LanguageTool unreachable" : null;
+
+  // 6) Scores grammaire/orthographe
+  const { grammarScore, spellingScore, grammarErr, spellingErr, categories, lengthFactor } =
+    grammarSpellingScores(matches, text, rubric.scoring);
+
+  // 7) Issues formatées
+  const issues = (matches || []).slice(0, 100).map(m => ({
+    type: (m.rule?.issueType || "grammar").toLowerCase(),
+    category: classifyMatch(m),
+    message: m.message || m.shortMessage || "Problème détecté",
+    ruleId: m.rule?.id,
+    description: m.rule?.description,
+    offset: m.offset,
+    length: m.length,
+    replacements: (m.replacements || []).slice(0, 5).map(r => r.value)
+  }));
+  const grammarChecker = {           // backend utilisé : "languagetool" | "rules" | "mock" | null
+    backend: grammar.checker,
+    status: grammar.status,          // "ok" | "fallback" | "unavailable"
+    errors: grammar.errors
+  };
+
+  progress("grammar", {
+    grammarScore, spellingScore, grammarChecker, issues: [...issues],
+    details: { grammarErrors: grammarErr, spellingErrors: spellingErr, errorCategories: categories, lengthFactor, ltError }
+  }, slowStart);
+
+  const { perRef, end: semanticEnd } = await pendingRefs;
+  const bestLex = bestReference(perRef.map(p => ({ ...p.ref, score: p.lexical })), r => r.score);
+  const bestSem = bestReference(perRef.map(p => ({ ...p.ref, score: p.semantic.score })), r => r.score);
+  const similarity = bestLex ? bestLex.value : 0;
+  const semantic = {
+    score: bestSem ? bestSem.value : null,
+    backend: bestSem ? perRef[bestSem.ref.index].semantic.backend : null
+  };
+  const semanticError = perRef.map(p => p.semantic.error).find(Boolean) || null;
+
+  // Meilleure référence : sémantique si disponible, sinon lexicale
+  const best = bestSem || bestLex;
+  const bestMatch = best
+    ? {
+        index: best.ref.index,
+        label: best.ref.label,
+        partial: best.ref.partial,
+        weight: best.ref.weight,
+        similarityScore: perRef[best.ref.index].lexical,
+        semanticScore: perRef[best.ref.index].semantic.score
+      }
+    : null;
+
+  progress("semantic", {
+    similarityScore: similarity, semanticScore: semantic.score, semanticBackend: semantic.backend, bestMatch,
+    details: { semanticError }
+  }, slowStart, semanticEnd);
+  since = performance.now();
+
+  // 8) Langue inattendue
+  if (expectedLang && expectedLang !== (lang || "und")) {
+    issues.unshift({
+      type: "language",
+      message: `Réponse détectée en '${lang || "indéterminée"}' au lieu de '${expectedLang}'.`
+    });
+  }
+
+  // 8a) Mélange de langues (par phrase) et signal « texte généré / traduit automatiquement »
+  for (const sp of mix.spans.filter(s => s.foreign)) {
+    issues.push({
+      type: "language_mix",
+      message: `Passage rédigé en '${sp.lang}' au lieu de '${expectedLang || lang}'.`,
+      lang: sp.lang,
+      offset: sp.offset,
+      length: sp.length
+    });
+  }
+  // Taux d’erreurs seulement s’il vient de LanguageTool : un repli (rules, mock) relève bien moins d’erreurs
+  // et ferait paraître la copie « étonnamment correcte »
+  const style = stylometry(text, expectedLang || lang, { errors: grammar.checker === "languagetool" ? matches.length : null });
+  for (const a of style.artifacts) {
+    issues.push({ type: "translation_artifact", message: a.message, offset: a.offset, length: a.length, replacements: [] });
+  }
+  if (style.flagged) {
+    issues.push({
+      type: "machine_generated",
+      message: `Le texte présente des indices de génération ou de traduction automatique (vraisemblance ${style.machineLikelihood}/100) : à vérifier.`,
+      offset: 0,
+      length: text.length
+    });
+  }
+
+  // 8b) Texte corrigé + rendus annotés (spans -> index dans issues)
+  const { correctedText, annotated } = annotateText(text, issues);
+
+  // 9) Barème CECRL (content s’appuie aussi sur la similarité sémantique)
+  const rubricScore = await rubricAggregate({
+    text,
+    lang: expectedLang || lang,
+    ltMatches: matches,
+    expectedAnswer: best ? best.ref.text : "",
+    rubric,
+    semantic: best ? semantic : null,
+    hasReference: Boolean(best),
+    genre: genre === "none" ? null : genre || rubric.genre
+  });
+
+  // 9a) Commentaires pour l’élève (issues du correcteur uniquement)
+  const feedback = generateFeedback({
+    text,
+    lang: expectedLang || lang,
+    locale: pickLocale(locale, expectedLang, lang),
+    rubric,
+    rubricScore,
+    content: contentEval,
+    evalCfg,
+    issues: issues.filter(i => i.category),
+    errorCategories: categories,
+    checked: matches !== null,
+    hasReference: Boolean(best),
+    overrides: feedbackTemplates,
+    hideAnswerKey
+  });
+  progress("rubric", { rubric: rubricScore, feedback }, since);
+  observeScores(rubricScore);
+
+  // 10) Réponse
+  return {
+    lang,
+    grammarScore,                      // null si aucun correcteur n’a abouti (grammarChecker.status)
+    spellingScore,
+    grammarChecker,
+    similarityScore: similarity, // forme (lettres/mots)
+    semanticScore: semantic.score,     // sens 0..100 ou null
+    semanticBackend: semantic.backend, // "hf" | "local" | null
+    bestMatch,                         // meilleure référence (index, crédit, scores bruts) ou null
+    issues,
+    correctedText,                     // meilleure suggestion appliquée par issue retenue
+    annotated,                         // { html, markdown, spans, skipped }
+    languageMix: mix,                  // { dominant, mixed, spans[{ offset, length, lang, foreign }] }
+    authenticity: {                    // signal heuristique, pas une preuve
+      machineLikelihood: style.machineLikelihood,
+      flagged: style.flagged,
+      signals: style.signals
+    },
+    content,                     // évaluation configurable par question
+    rubric: rubricScore,         // agrégat “style prof CECRL”
+    feedback,                    // { locale, summary, strengths, improvements, missingKeywords, connectors }
+    details: {
+      grammarErrors: grammarErr,
+      spellingErrors: spellingErr,
+      errorCategories: categories,     // { agreement: { label, axis, count, penalty }, … }
+      lengthFactor,                    // normalisation des pénalités par la longueur
+      ltError,
+      semanticError,                   // backend sémantique en échec (repli éventuel), ex. "hf: timeout"
+      hasVerb: struct.hasVerb,
+      keywordScore: struct.keywordScore,
+      keywordsFound: struct.found,
+      keywordsTotal: struct.total
+    }
+  };
+}
@@ -0,0 +1,248 @@
+// Détection de plagiat / collusion par empreintes (shingling + winnowing) au sein d’un devoir.
+// - mots normalisés via norm() (evaluation.js), shingles de K mots, hachage FNV-1a, winnowing fenêtre W
+// - index par locataire et assignmentId : copies déjà reçues + textes sources enregistrés
+//   (jamais de comparaison entre écoles ; tenantId null sans authentification)
+// - la copie analysée ne reçoit qu’un résumé (chevauchement maximal, signalement, passages repérés dans son
+//   propre texte) ; identités des autres apprenants et extraits réservés à suspiciousPairs (vue enseignant)
+// - persistance JSONL (PLAGIARISM_FILE, défaut ./var/fingerprints.jsonl ; "off" = mémoire seule)
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { norm } from "./evaluation.js";
+import { logger } from "./logger.js";
+
+const K = Number(process.env.PLAGIARISM_SHINGLE || 5);
+const W = Number(process.env.PLAGIARISM_WINDOW || 4);
+export const PLAGIARISM_THRESHOLD = Number(process.env.PLAGIARISM_THRESHOLD || 30);
+
+const FILE = (process.env.PLAGIARISM_FILE || path.join(process.cwd(), "var", "fingerprints.jsonl")).trim();
+const PERSIST = FILE.toLowerCase() !== "off";
+
+const assignments = new Map(); // clé locataire + assignmentId -> Map<docKey, doc>
+let writeQueue = Promise.resolve();
+
+// Mots avec leur position dans le texte d’origine
+function tokenize(text) {
+  const out = [];
+  if (typeof Intl?.Segmenter === "function") {
+    for (const s of new Intl.Segmenter(undefined, { granularity: "word" }).segment(text)) {
+      if (!s.isWordLike) continue;
+      const n = norm(s.segment);
+      if (n) out.push({ word: n, start: s.index, end: s.index + s.segment.length });
+    }
+  } else {
+    for (const m of text.matchAll(/[\p{L}\p{N}'-]+/gu)) {
+      const n = norm(m[0]);
+      if (n) out.push({ word: n, start: m.index, end: m.index + m[0].length });
+    }
+  }
+  return out;
+}
+
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Empreintes winnowing d’un texte.
+ * @returns {{ tokens: object[], prints: Map<number, number[]> }} prints : hash -> positions (index du 1er mot du shingle)
+ */
+export function fingerprint(text) {
+  const tokens = tokenize(text || "");
+  const k = Math.min(K, tokens.length);
+  const hashes = [];
+  for (let i = 0; k && i + k <= tokens.length; i++) {
+    hashes.push(fnv1a(tokens.slice(i, i + k).map(t => t.word).join(" ")));
+  }
+
+  const prints = new Map();
+  const add = i => {
+    const list = prints.get(hashes[i]) || [];
+    if (!list.includes(i)) list.push(i);
+    prints.set(hashes[i], list);
+  };
+  if (hashes.length <= W) {
+    hashes.forEach((_, i) => add(i));
+  } else {
+    let last = -1;
+    for (let s = 0; s + W <= hashes.length; s++) {
+      let min = s;
+      for (let j = s; j < s + W; j++) if (hashes[j] <= hashes[min]) min = j; // minimum le plus à droite
+      if (min !== last) { add(min); last = min; }
+    }
+  }
+  return { tokens, prints, k };
+}
+
+// Passages communs : shingles partagés étendus mot à mot dans les deux sens, reportés en offsets
+function passages(a, b, textA, textB) {
+  const same = (i, j) => a.tokens[i] && b.tokens[j] && a.tokens[i].word === b.tokens[j].word;
+  const ranges = [];
+  for (const [h, posA] of a.prints) {
+    const posB = b.prints.get(h);
+    if (!posB) continue;
+    for (const p of posA) {
+      let a0 = p, b0 = posB[0], a1 = p + a.k - 1, b1 = posB[0] + b.k - 1;
+      while (a0 > 0 && b0 > 0 && same(a0 - 1, b0 - 1)) { a0--; b0--; }
+      while (same(a1 + 1, b1 + 1)) { a1++; b1++; }
+      ranges.push({ a0, a1, b0, b1 });
+    }
+  }
+  ranges.sort((x, y) => x.a0 - y.a0);
+
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r.a0 <= last.a1 + 1) {
+      last.a1 = Math.max(last.a1, r.a1);
+      last.b0 = Math.min(last.b0, r.b0);
+      last.b1 = Math.max(last.b1, r.b1);
+    } else {
+      merged.push({ ...r });
+    }
+  }
+
+  return merged.map(r => {
+    const offset = a.tokens[r.a0].start;
+    const otherOffset = b.tokens[r.b0].start;
+    return {
+      offset,
+      length: a.tokens[r.a1].end - offset,
+      otherOffset,
+      otherLength: b.tokens[r.b1].end - otherOffset,
+      excerpt: textA.slice(offset, a.tokens[r.a1].end).slice(0, 200),
+      otherExcerpt: textB.slice(otherOffset, b.tokens[r.b1].end).slice(0, 200)
+    };
+  });
+}
+
+// Union des intervalles { offset, length } (passages trouvés dans plusieurs documents)
+function mergeSpans(spans) {
+  const out = [];
+  for (const s of [...spans].sort((x, y) => x.offset - y.offset)) {
+    const last = out[out.length - 1];
+    if (last && s.offset <= last.offset + last.length) {
+      last.length = Math.max(last.length, s.offset + s.length - last.offset);
+    } else {
+      out.push({ offset: s.offset, length: s.length });
+    }
+  }
+  return out;
+}
+
+function overlap(a, b) {
+  if (!a.prints.size) return 0;
+  let shared = 0;
+  for (const h of a.prints.keys()) if (b.prints.has(h)) shared++;
+  return Math.round((shared / a.prints.size) * 100);
+}
+
+function docsOf(tenantId, assignmentId) {
+  const key = `${tenantId ?? ""}\u0000${assignmentId}`;
+  if (!assignments.has(key)) assignments.set(key, new Map());
+  return assignments.get(key);
+}
+
+function store(rec) {
+  const fp = fingerprint(rec.text);
+  const doc = { ...rec, ...fp };
+  docsOf(rec.tenantId, rec.assignmentId).set(`${rec.kind}:${rec.id}`, doc);
+  return doc;
+}
+
+function persist(rec) {
+  if (!PERSIST) return;
+  writeQueue = writeQueue
+    .then(() => fsp.mkdir(path.dirname(FILE), { recursive: true }))
+    .then(() => fsp.appendFile(FILE, JSON.stringify(rec) + "\n"))
+    .catch(e => logger.warn("plagiarism store write failed", { error: e?.message || String(e) }));
+}
+
+// Chargement au démarrage (la dernière version d’un document l’emporte)
+if (PERSIST) {
+  try {
+    for (const line of fs.readFileSync(FILE, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try { store(JSON.parse(line)); } catch { /* ligne corrompue */ }
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("plagiarism store read failed", { error: e?.message || String(e) });
+  }
+}
+
+/**
+ * Enregistre un texte source de référence pour un devoir.
+ * @returns {{ id: string, fingerprints: number }}
+ */
+export function registerSource({ tenantId = null, assignmentId, id, text }) {
+  const rec = { tenantId, assignmentId: String(assignmentId), id: String(id), kind: "source", text, ts: Date.now() };
+  const doc = store(rec);
+  persist(rec);
+  return { id: rec.id, fingerprints: doc.prints.size };
+}
+
+/**
+ * Compare une copie aux copies antérieures et aux sources du devoir, puis l’ajoute à l’index.
+ * Renvoyé à l’élève : les passages communs, en offsets dans sa propre copie uniquement ; ni l’identité
+ * des autres documents ni leurs extraits.
+ * @returns {{ submissionId, checked, maxOverlap, suspicious, passages: { offset, length }[] }}
+ */
+export function checkSubmission({ tenantId = null, assignmentId, submissionId, learnerId = null, text }) {
+  const rec = {
+    tenantId, assignmentId: String(assignmentId), id: String(submissionId), kind: "submission",
+    learnerId: learnerId === null || learnerId === undefined ? null : String(learnerId), text, ts: Date.now()
+  };
+  const mine = fingerprint(text);
+  let maxOverlap = 0;
+  let checked = 0;
+  const spans = [];
+
+  for (const [key, doc] of docsOf(tenantId, assignmentId)) {
+    if (key === `submission:${rec.id}`) continue; // resoumission : on remplace
+    if (rec.learnerId && doc.learnerId === rec.learnerId) continue; // même apprenant
+    checked++;
+    const pct = overlap(mine, doc);
+    maxOverlap = Math.max(maxOverlap, pct);
+    if (pct) for (const p of passages(mine, doc, text, doc.text)) spans.push({ offset: p.offset, length: p.length });
+  }
+
+  store(rec);
+  persist(rec);
+
+  return {
+    submissionId: rec.id, checked, maxOverlap, suspicious: maxOverlap >= PLAGIARISM_THRESHOLD,
+    passages: mergeSpans(spans)
+  };
+}
+
+/**
+ * Paires suspectes d’un devoir (chevauchement ≥ threshold dans au moins un sens), avec les passages communs
+ * (offsets et extraits, côté a puis côté b).
+ * @returns {object[]} triées par chevauchement décroissant
+ */
+export function suspiciousPairs(assignmentId, { tenantId = null, threshold = PLAGIARISM_THRESHOLD } = {}) {
+  const docs = [...docsOf(tenantId, assignmentId).values()];
+  const pairs = [];
+  for (let i = 0; i < docs.length; i++) {
+    for (let j = i + 1; j < docs.length; j++) {
+      const a = docs[i], b = docs[j];
+      if (a.kind === "source" && b.kind === "source") continue;
+      if (a.learnerId && a.learnerId === b.learnerId) continue;
+      const ab = overlap(a, b), ba = overlap(b, a);
+      if (Math.max(ab, ba) < threshold) continue;
+      pairs.push({
+        a: { id: a.id, kind: a.kind, learnerId: a.learnerId || null, overlap: ab },
+        b: { id: b.id, kind: b.kind, learnerId: b.learnerId || null, overlap: ba },
+        maxOverlap: Math.max(ab, ba),
+        passages: passages(a, b, a.text, b.text)
+      });
+    }
+  }
+  return pairs.sort((x, y) => y.maxOverlap - x.maxOverlap);
+}
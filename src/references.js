@@ -0,0 +1,42 @@
+// Réponses de référence multiples (expectedAnswers) et meilleure correspondance.
+// Une référence : "texte" ou { text, weight?, partial?, label? }
+// - weight  : crédit accordé 0..1 (défaut 1, ou 0.5 si partial)
+// - partial : référence « crédit partiel » (réponse incomplète mais acceptable)
+
+const PARTIAL_DEFAULT_WEIGHT = 0.5;
+
+/**
+ * Fusionne expectedAnswer (string) et expectedAnswers (tableau) en une liste normalisée.
+ * @returns {{ index: number, text: string, weight: number, partial: boolean, label: string|null }[]}
+ */
+export function normalizeReferences(expectedAnswer, expectedAnswers) {
+  const raw = [];
+  if (expectedAnswer && typeof expectedAnswer === "string") raw.push(expectedAnswer);
+  if (Array.isArray(expectedAnswers)) raw.push(...expectedAnswers);
+
+  return raw
+    .map(r => (typeof r === "string" ? { text: r } : r || {}))
+    .filter(r => typeof r.text === "string" && r.text.trim())
+    .map((r, index) => {
+      const partial = Boolean(r.partial);
+      const w = Number.isFinite(r.weight) ? r.weight : partial ? PARTIAL_DEFAULT_WEIGHT : 1;
+      return { index, text: r.text, weight: Math.max(0, Math.min(1, w)), partial, label: r.label ?? null };
+    });
+}
+
+/**
+ * Meilleure référence selon score(ref) 0..100 pondéré par le crédit de la référence.
+ * @param {object[]} refs - sortie de normalizeReferences
+ * @param {(ref: object) => number|null} score
+ * @returns {{ ref: object, raw: number, value: number }|null} value = raw * weight (arrondi)
+ */
+export function bestReference(refs, score) {
+  let best = null;
+  for (const ref of refs) {
+    const raw = score(ref);
+    if (!Number.isFinite(raw)) continue;
+    const value = Math.round(raw * ref.weight);
+    if (!best || value > best.value) best = { ref, raw, value };
+  }
+  return best;
+}
@@ -0,0 +1,159 @@
+// Registre des barèmes : charge tous les fichiers JSON de src/rubrics/.
+// Chaque fichier est un objet { "<rubricId>": { label?, weights, thresholds?, cefr?, scoring?, genre? } }.
+// Sélection par id côté requête (champ `rubricId`), défaut : DEFAULT_RUBRIC_ID ou "writing_default".
+// Barèmes enregistrés à l’exécution (calibration) : RUBRICS_CUSTOM_FILE (défaut ./var/rubrics.json ; "off" = mémoire seule),
+// même format, chargé après src/rubrics/ (un id déjà défini y est ignoré).
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { GENRES } from "./genre.js";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const RUBRICS_DIR = path.join(__dirname, "rubrics");
+
+const CUSTOM_FILE = (process.env.RUBRICS_CUSTOM_FILE || path.join(process.cwd(), "var", "rubrics.json")).trim();
+const PERSIST = CUSTOM_FILE.toLowerCase() !== "off";
+
+export const DEFAULT_RUBRIC_ID = (process.env.DEFAULT_RUBRIC_ID || "writing_default").trim();
+
+// complexity : axe optionnel (poids 0 si absent du fichier)
+const AXES = ["content", "organization", "lexis", "grammar", "mechanics", "complexity"];
+
+// Barème de secours si aucun fichier n’est lisible
+const FALLBACK = {
+  writing_default: {
+    label: "Production écrite (défaut)",
+    weights: { content: 35, organization: 15, lexis: 20, grammar: 20, mechanics: 10 },
+    thresholds: { pass: 60, good: 75, excellent: 90 }
+  }
+};
+
+// Seuils CECRL par défaut sur le score global (0..100)
+const DEFAULT_CEFR = { A1: 0, A2: 30, B1: 45, B2: 60, C1: 75, C2: 90 };
+const DEFAULT_THRESHOLDS = { pass: 60, good: 75, excellent: 90 };
+
+// Constantes de normalisation surchargeables (défauts : scoring.js, organization.js, lexis.js)
+export const SCORING_KEYS = ["grammarPtsPerError", "spellingPtsPerError", "paragraphTarget", "pointsPerConnector", "diversityReference"];
+
+/**
+ * Vérifie la forme d’un barème et complète les valeurs par défaut.
+ * @returns {object} barème normalisé
+ * @throws {Error} si les pondérations sont invalides
+ */
+function normalizeRubric(id, cfg) {
+  const weights = cfg?.weights;
+  if (!weights || typeof weights !== "object") throw new Error(`'${id}': champ 'weights' manquant`);
+  for (const [axis, w] of Object.entries(weights)) {
+    if (!Number.isFinite(w) || w < 0) throw new Error(`'${id}': poids invalide pour '${axis}'`);
+  }
+  const unknown = Object.keys(weights).filter(a => !AXES.includes(a));
+  if (unknown.length) throw new Error(`'${id}': axe(s) inconnu(s) ${unknown.join(", ")}`);
+  for (const [key, v] of Object.entries(cfg.scoring || {})) {
+    if (!SCORING_KEYS.includes(key)) throw new Error(`'${id}': constante inconnue '${key}' dans 'scoring'`);
+    if (!Number.isFinite(v) || v <= 0) throw new Error(`'${id}': constante invalide '${key}' dans 'scoring'`);
+  }
+  if (cfg.genre != null && !GENRES.includes(cfg.genre)) throw new Error(`'${id}': genre inconnu '${cfg.genre}'`);
+
+  return {
+    id,
+    label: cfg.label || id,
+    weights: Object.fromEntries(AXES.map(a => [a, weights[a] || 0])),
+    thresholds: { ...DEFAULT_THRESHOLDS, ...(cfg.thresholds || {}) },
+    cefr: { ...DEFAULT_CEFR, ...(cfg.cefr || {}) },
+    feedback: cfg.feedback || null,  // gabarits de commentaires { "<locale>": { "<clé>": "…" } } (voir feedback.js)
+    scoring: cfg.scoring || null,    // constantes de normalisation des axes (null : défauts des modules)
+    genre: cfg.genre || null         // conventions d’écrit vérifiées par défaut ("letter" | "email", voir genre.js)
+  };
+}
+
+function loadAll(dir) {
+  const out = new Map();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort();
+  } catch (e) {
+    logger.warn("rubric directory unreadable", { error: e?.message || String(e) });
+  }
+
+  for (const file of files) {
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      for (const [id, cfg] of Object.entries(raw)) {
+        if (out.has(id)) logger.warn("rubric redefined", { rubricId: id, file });
+        out.set(id, normalizeRubric(id, cfg));
+      }
+    } catch (e) {
+      logger.warn("rubric file ignored", { file, error: e?.message || String(e) });
+    }
+  }
+
+  if (!out.size) {
+    logger.warn("no rubric loaded, using built-in default");
+    for (const [id, cfg] of Object.entries(FALLBACK)) out.set(id, normalizeRubric(id, cfg));
+  }
+  return out;
+}
+
+const registry = loadAll(RUBRICS_DIR);
+const custom = {}; // barèmes enregistrés : id -> configuration brute (contenu de CUSTOM_FILE)
+let writeQueue = Promise.resolve();
+
+if (PERSIST) {
+  try {
+    for (const [id, cfg] of Object.entries(JSON.parse(fs.readFileSync(CUSTOM_FILE, "utf8")))) {
+      if (registry.has(id)) { logger.warn("custom rubric ignored, id already defined", { rubricId: id, file: CUSTOM_FILE }); continue; }
+      try {
+        registry.set(id, normalizeRubric(id, cfg));
+        custom[id] = cfg;
+      } catch (e) {
+        logger.warn("custom rubric ignored", { rubricId: id, error: e?.message || String(e) });
+      }
+    }
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("custom rubrics read failed", { error: e?.message || String(e) });
+  }
+}
+
+/**
+ * Barème par id (ou barème par défaut si id vide).
+ * @param {string} [id]
+ * @returns {object|null} null si l’id est inconnu
+ */
+export function getRubric(id) {
+  return registry.get(id || DEFAULT_RUBRIC_ID) || null;
+}
+
+/** Liste des barèmes disponibles (id, label, pondérations, seuils, constantes, genre). */
+export function listRubrics() {
+  return [...registry.values()].map(({ id, label, weights, thresholds, scoring, genre }) => ({ id, label, weights, thresholds, scoring, genre }));
+}
+
+/**
+ * Enregistre un nouveau barème (ex. issu d’une calibration) et le persiste dans RUBRICS_CUSTOM_FILE.
+ * @param {string} id
+ * @param {object} cfg - { label?, weights, thresholds?, cefr?, scoring?, genre?, feedback? }
+ * @returns {{ rubric?: object, conflict?: boolean, error?: string }}
+ */
+export function saveRubric(id, cfg) {
+  if (registry.has(id)) return { conflict: true };
+  let rubric;
+  try {
+    rubric = normalizeRubric(id, cfg);
+  } catch (e) {
+    return { error: e.message };
+  }
+  registry.set(id, rubric);
+  custom[id] = cfg;
+  if (PERSIST) {
+    const snapshot = JSON.stringify(custom, null, 2) + "\n";
+    writeQueue = writeQueue
+      .then(() => fsp.mkdir(path.dirname(CUSTOM_FILE), { recursive: true }))
+      .then(() => fsp.writeFile(CUSTOM_FILE, snapshot))
+      .catch(e => logger.warn("custom rubrics write failed", { error: e?.message || String(e) }));
+  }
+  return { rubric };
+}
@@ -1,48 +1,124 @@
 import { grammarSpellingScores } from "./scoring.js";
 import { organizationMetrics } from "./organization.js";
 import { lexisMetrics } from "./lexis.js";
-import { semanticSimilarity100 } from "./semantic.js";
+import { complexityMetrics } from "./complexity.js";
+import { semanticSimilarity } from "./semantic.js";
+import { genreMetrics } from "./genre.js";
 
-// Agrège selon le barème CECRL-like
-export async function rubricAggregate({ text, lang, ltMatches, expectedAnswer, rubric }) {
+const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+const BANDS = ["excellent", "good", "pass"];
+const GENRE_SHARE = 0.5; // part des conventions de genre (lettre, courriel) dans l’axe organization
+
+// Palier atteint selon rubric.thresholds (pass/good/excellent), sinon "insufficient"
+function bandFor(score, thresholds = {}) {
+  return BANDS.find(b => Number.isFinite(thresholds[b]) && score >= thresholds[b]) || "insufficient";
+}
+
+// Niveau CECRL dont le seuil est atteint par `score`
+function levelIndex(score, cutoffs) {
+  let idx = 0;
+  CEFR_LEVELS.forEach((lvl, i) => { if (score >= (cutoffs[lvl] ?? Infinity)) idx = i; });
+  return idx;
+}
+
+/**
+ * Estimation CECRL à partir du score global, plafonnée par l’axe le plus faible :
+ * un profil très déséquilibré ne peut dépasser d’un niveau celui de son axe le plus faible.
+ * Sans réponse de référence (hasReference faux), l’axe content (toujours 0) n’entre pas dans le plafond.
+ */
+function estimateCefr(overall, breakdown, weights, cutoffs, hasReference = true) {
+  const reasons = [];
+  let idx = levelIndex(overall, cutoffs);
+  reasons.push(`Score global ${overall} ≥ seuil ${CEFR_LEVELS[idx]} (${cutoffs[CEFR_LEVELS[idx]]}).`);
+
+  const weighted = Object.entries(breakdown)
+    .filter(([axis, v]) => (weights[axis] || 0) > 0 && Number.isFinite(v) && (axis !== "content" || hasReference));
+  if (weighted.length) {
+    const [weakAxis, weakScore] = weighted.reduce((min, cur) => (cur[1] < min[1] ? cur : min));
+    const cap = levelIndex(weakScore, cutoffs) + 1;
+    if (idx > cap) {
+      reasons.push(`Plafonné à ${CEFR_LEVELS[cap]} : axe '${weakAxis}' trop faible (${weakScore}).`);
+      idx = cap;
+    }
+  }
+  return { level: CEFR_LEVELS[idx], reasons };
+}
+
+/**
+ * Score de l’axe organization : moyenne paragraphes / connecteurs (paragraphes seuls sans connecteurs),
+ * combinée aux conventions de genre si un genre est vérifié (genreScore non null).
+ */
+export function organizationAxis({ paraScore, connScore }, genreScore = null) {
+  const base = connScore === null ? paraScore : Math.round((paraScore * 0.5) + (connScore * 0.5));
+  return genreScore === null ? base : Math.round(base * (1 - GENRE_SHARE) + genreScore * GENRE_SHARE);
+}
+
+// Agrège selon le barème CECRL-like (rubric : voir rubricRegistry.js)
+// `semantic` ({ score, backend }) évite de recalculer la similarité déjà obtenue par l’appelant.
+// `ltMatches` null : aucun correcteur disponible, grammar/mechanics sont null et exclus de la moyenne.
+// `genre` ("letter" | "email" | null) : conventions vérifiées par genre.js, intégrées à l’axe organization.
+// `hasReference` faux : pas de réponse de référence, l’axe content ne plafonne pas le niveau CECRL.
+export async function rubricAggregate({
+  text, lang, ltMatches, expectedAnswer, rubric, semantic = null, genre = null, hasReference = Boolean(expectedAnswer)
+}) {
   const w = rubric.weights;
 
-  // 1) grammar/mechanics (depuis LT)
-  const { grammarScore, spellingScore } = grammarSpellingScores(ltMatches);
+  // 1) grammar/mechanics (depuis le correcteur, voir grammar.js)
+  const { grammarScore, spellingScore } = grammarSpellingScores(ltMatches, text, rubric.scoring);
 
-  // 2) content -> sémantique 0..100 (null => 0 si API indispo)
+  // 2) content -> sémantique 0..100 (null => 0 si aucun backend disponible)
   let sem = 0;
+  let semBackend = null;
   if (expectedAnswer) {
-    const s = await semanticSimilarity100(text, expectedAnswer);
-    sem = Number.isFinite(s) ? s : 0;
+    const { score, backend } = semantic || await semanticSimilarity(text, expectedAnswer);
+    sem = Number.isFinite(score) ? score : 0;
+    semBackend = backend;
   }
   const contentScore = expectedAnswer ? sem : 0;
 
-  // 3) organization
-  const org = organizationMetrics(text, lang);
-  const organizationScore = Math.round((org.paraScore * 0.5) + (org.connScore * 0.5));
+  // 3) organization (sans lexique de connecteurs pour la langue : paragraphes seuls)
+  const org = organizationMetrics(text, lang, rubric.scoring);
+  const genreCheck = genre ? genreMetrics(text, lang, genre) : null;
+  const organizationScore = organizationAxis(org, genreCheck?.score ?? null);
 
   // 4) lexis
-  const lex = lexisMetrics(text, lang);
+  const lex = lexisMetrics(text, lang, rubric.scoring);
   const lexisScore = lex.lexisScore;
 
-  // Agrégation pondérée
-  const overall =
-      (contentScore     * (w.content/100)) +
-      (organizationScore* (w.organization/100)) +
-      (lexisScore       * (w.lexis/100)) +
-      (grammarScore     * (w.grammar/100)) +
-      (spellingScore    * (w.mechanics/100));
+  // 5) complexity (longueur/variation des phrases, subordonnées ; poids 0 par défaut)
+  const cx = complexityMetrics(text, lang);
+  const complexityScore = cx.complexityScore;
+
+  // Agrégation pondérée (normalisée par la somme des poids des axes disponibles)
+  const checked = grammarScore !== null;
+  const totalWeight =
+      (w.content || 0) + (w.organization || 0) + (w.lexis || 0) +
+      (checked ? (w.grammar || 0) + (w.mechanics || 0) : 0) + (w.complexity || 0);
+  const overall = totalWeight ? (
+      (contentScore     * (w.content || 0)) +
+      (organizationScore* (w.organization || 0)) +
+      (lexisScore       * (w.lexis || 0)) +
+      (checked ? grammarScore  * (w.grammar || 0) : 0) +
+      (checked ? spellingScore * (w.mechanics || 0) : 0) +
+      (complexityScore  * (w.complexity || 0))
+    ) / totalWeight : 0;
+
+  const breakdown = {
+    content: Math.round(contentScore),
+    organization: Math.round(organizationScore),
+    lexis: Math.round(lexisScore),
+    grammar: checked ? Math.round(grammarScore) : null,
+    mechanics: checked ? Math.round(spellingScore) : null,
+    complexity: Math.round(complexityScore)
+  };
+  const overallScore = Math.round(overall);
 
   return {
-    overall: Math.round(overall),
-    breakdown: {
-      content: Math.round(contentScore),
-      organization: Math.round(organizationScore),
-      lexis: Math.round(lexisScore),
-      grammar: Math.round(grammarScore),
-      mechanics: Math.round(spellingScore)
-    },
-    details: { semantic: contentScore, organization: org, lexis: lex }
+    rubricId: rubric.id,
+    overall: overallScore,
+    band: bandFor(overallScore, rubric.thresholds),
+    cefr: estimateCefr(overallScore, breakdown, w, rubric.cefr || {}, hasReference),
+    breakdown,
+    details: { semantic: contentScore, semanticBackend: semBackend, organization: org, lexis: lex, complexity: cx, genre: genreCheck }
   };
 }
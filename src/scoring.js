@@ -1,5 +1,7 @@
 import stringSimilarity from "string-similarity";
 import nlp from "compromise";
+import { classifyMatch, errorCategories, lengthFactor } from "./taxonomy.js";
+import { wordTokens } from "./utils/tokenize.js";
 
 // Normalise chaîne pour similarité
 function norm(s) {
@@ -13,35 +15,71 @@ function norm(s) {
 
 /**
  * Calcule un score de similarité 0-100 basé sur string-similarity.
+ * expectedText peut être une liste de références : on retient la meilleure.
  */
 export function similarityScore(userText, expectedText) {
+  if (Array.isArray(expectedText)) {
+    return Math.max(0, ...expectedText.map(e => similarityScore(userText, typeof e === "string" ? e : e?.text)));
+  }
   if (!expectedText) return 0;
   const score = stringSimilarity.compareTwoStrings(norm(userText), norm(expectedText)); // 0..1
   return Math.round(score * 100);
 }
 
+/** Points retirés par erreur (pour 100 mots), par axe ; surchargeables par barème (scoring) */
+export const DEFAULT_PTS_PER_ERROR = {
+  grammar: Number(process.env.GRAMMAR_PTS_PER_ERROR || 6),
+  mechanics: Number(process.env.SPELLING_PTS_PER_ERROR || 5)
+};
+
 /**
- * Score grammaire / orthographe simples:
- * - pénalité linéaire par erreur détectée (matches LT)
+ * Score grammaire / orthographe (mechanics) :
+ * - chaque match LT est rangé dans une catégorie pédagogique (taxonomy.js)
+ * - pénalité = points de l’axe × poids de la catégorie × facteur de longueur (taux d’erreur)
  * - plafonné 0..100
+ * - matches null (aucun correcteur n’a abouti) : scores et compteurs null, jamais 100 par défaut
+ * @param {object[]|null} matches - matches LanguageTool (ou moteur hors-ligne, même format)
+ * @param {string} [text] - texte analysé (normalisation par la longueur ; sans texte : pas de normalisation)
+ * @param {{ grammarPtsPerError?: number, spellingPtsPerError?: number }|null} [scoring] - constantes du barème
  */
-export function grammarSpellingScores(matches) {
-  const grammarWeight = Number(process.env.GRAMMAR_PTS_PER_ERROR || 6);
-  const spellingWeight = Number(process.env.SPELLING_PTS_PER_ERROR || 5);
+export function grammarSpellingScores(matches, text, scoring = null) {
+  const axisPts = {
+    grammar: scoring?.grammarPtsPerError ?? DEFAULT_PTS_PER_ERROR.grammar,
+    mechanics: scoring?.spellingPtsPerError ?? DEFAULT_PTS_PER_ERROR.mechanics
+  };
+
+  const defs = errorCategories();
+  const categories = Object.fromEntries(Object.entries(defs).map(([id, d]) => [
+    id, { label: d.label, axis: d.axis, count: 0, penalty: 0 }
+  ]));
+
+  const words = text === undefined ? null : wordTokens(text).length;
+  const factor = words === null ? 1 : lengthFactor(words);
 
   let grammarErr = 0;
   let spellingErr = 0;
+  let grammarPen = 0;
+  let spellingPen = 0;
 
   for (const m of matches || []) {
-    const t = m.rule?.issueType || "";
-    // LanguageTool: "misspelling" "typographical" "grammar" "style" etc.
-    if (/spelling|typographical/i.test(t) || /spelling/i.test(m.rule?.id || "")) spellingErr++;
-    else grammarErr++;
+    const id = classifyMatch(m);
+    const c = categories[id];
+    const pen = (axisPts[c.axis] ?? axisPts.grammar) * (defs[id].weight ?? 1) * factor;
+    c.count++;
+    c.penalty += pen;
+    if (c.axis === "mechanics") { spellingErr++; spellingPen += pen; }
+    else { grammarErr++; grammarPen += pen; }
   }
-  const grammarScore = Math.max(0, 100 - grammarErr * grammarWeight);
-  const spellingScore = Math.max(0, 100 - spellingErr * spellingWeight);
+  for (const c of Object.values(categories)) c.penalty = Number(c.penalty.toFixed(1));
+
+  if (matches === null) {
+    return { grammarScore: null, spellingScore: null, grammarErr: null, spellingErr: null, categories, lengthFactor: Number(factor.toFixed(3)) };
+  }
+
+  const grammarScore = Math.max(0, Math.round(100 - grammarPen));
+  const spellingScore = Math.max(0, Math.round(100 - spellingPen));
 
-  return { grammarScore, spellingScore, grammarErr, spellingErr };
+  return { grammarScore, spellingScore, grammarErr, spellingErr, categories, lengthFactor: Number(factor.toFixed(3)) };
 }
 
 /**
@@ -1,59 +1,115 @@
-// Similarité de sens via Hugging Face Inference API (feature-extraction -> embeddings -> cosinus).
-// Retourne un entier 0..100 (ou null si la clé/connexion manque).
-import axios from "axios";
+// Similarité de sens, backend configurable (SEMANTIC_BACKEND) :
+// - "hf"    : Hugging Face Inference API (embeddings -> cosinus)
+// - "local" : espace vectoriel hors-ligne (n-grammes TF-IDF, voir vectorSpace.js), ramené à l’échelle de hf
+// - "auto"  : hf si HF_API_KEY est renseignée, sinon (ou en cas d’échec) local — défaut
+// Retourne un entier 0..100 et le backend qui l’a produit.
+// Textes longs (hf) : découpés en morceaux de SEMANTIC_CHUNK_CHARS caractères (fenêtre du modèle), puis agrégés
+// selon SEMANTIC_POOLING : "mean" (moyenne des embeddings pondérée par la longueur, défaut) ou "maxsim"
+// (pour chaque morceau, meilleure similarité dans l’autre texte ; moyenne des deux sens).
+import { embedWithHF, hfConfigured, pingHF } from "./services/huggingface.js";
+import { tfidfCosine } from "./vectorSpace.js";
+import { chunkText } from "./chunking.js";
+import { cosine, meanVector } from "./utils/vector.js";
+import { recordUpstream } from "./metrics.js";
+import { logger } from "./logger.js";
+
+const CHUNK_CHARS = Number(process.env.SEMANTIC_CHUNK_CHARS || 500);
+const POOLING = (process.env.SEMANTIC_POOLING || "mean").trim().toLowerCase();
+// Échelle locale → hf : hf note (cos + 1) / 2, soit ~55-60 pour des textes sans rapport (cos des embeddings
+// ~0.1-0.2) et 85-95 pour une paraphrase ; le cosinus TF-IDF est plus bas (~0.02-0.05 sans rapport, 0.2-0.4
+// pour une reformulation proche), d’où une courbe concave (racine) avant la même transformation.
+const LOCAL_CURVE = 0.5;
+
+// Moyenne, sur les morceaux de `from`, de leur meilleure similarité avec un morceau de `to`
+const meanMaxSim = (from, to) => from.reduce((acc, v) => acc + Math.max(...to.map(w => cosine(v, w))), 0) / from.length;
+
+// Cosinus -1..1 entre deux textes découpés en morceaux
+async function chunkedCosine(a, b) {
+  const ca = chunkText(a, CHUNK_CHARS);
+  const cb = chunkText(b, CHUNK_CHARS);
+  const vectors = await embedWithHF([...ca, ...cb].map(c => c.text));
+  const va = vectors.slice(0, ca.length);
+  const vb = vectors.slice(ca.length);
+  if (POOLING === "maxsim") return (meanMaxSim(va, vb) + meanMaxSim(vb, va)) / 2;
+  return cosine(meanVector(va, ca.map(c => c.text.length)), meanVector(vb, cb.map(c => c.text.length)));
+}
+
+const PROVIDERS = {
+  hf: {
+    available: hfConfigured,
+    async similarity(a, b) {
+      const sim = await chunkedCosine(a, b); // -1..1
+      return Math.round(((sim + 1) / 2) * 100);
+    },
+    probe: pingHF
+  },
+  local: {
+    available: () => true,
+    async similarity(a, b) {
+      const sim = tfidfCosine(a, b) ** LOCAL_CURVE; // 0..1
+      return Math.round(((sim + 1) / 2) * 100);
+    },
+    probe: async () => {}
+  }
+};
+
+// Ordre d’essai des backends selon la configuration
+function backendChain() {
+  const mode = (process.env.SEMANTIC_BACKEND || "auto").trim().toLowerCase();
+  if (mode === "hf") return ["hf"];
+  if (mode === "local") return ["local"];
+  return ["hf", "local"];
+}
 
 /**
  * @param {string} a - texte élève
  * @param {string} b - réponse attendue
- * @returns {Promise<number|null>} 0..100 ou null si indisponible
+ * @returns {Promise<{score: number|null, backend: string|null, error: string|null}>} score 0..100 (null si aucun
+ *   backend disponible) ; error : message du premier backend en échec (repli éventuel sur le suivant)
  */
-export async function semanticSimilarity100(a, b) {
-  const token = (process.env.HF_API_KEY || "").trim();
-  const model = (process.env.HF_MODEL || "sentence-transformers/paraphrase-multilingual-MiniLM-L12-v2").trim();
-  if (!token || !a || !b) return null;
-
-  const url = `https://api-inference.huggingface.co/pipeline/feature-extraction/${model}`;
-
-  try {
-    // 1) Embeddings pour [a, b]
-    const { data } = await axios.post(
-      url,
-      [a, b],
-      {
-        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
-        timeout: 15000
-      }
-    );
-
-    // Certains modèles renvoient [seq_len x hid_dim] → moyenne (pooling)
-    const v1 = Array.isArray(data?.[0]?.[0]) ? avgPool(data[0]) : data[0];
-    const v2 = Array.isArray(data?.[1]?.[0]) ? avgPool(data[1]) : data[1];
-    if (!Array.isArray(v1) || !Array.isArray(v2)) return null;
-
-    // 2) Similarité cosinus -> [0..100]
-    const sim = cosine(v1, v2); // -1..1
-    return Math.max(0, Math.min(100, Math.round(((sim + 1) / 2) * 100)));
-  } catch (e) {
-    console.error("[semantic] HF API error:", e?.response?.status, e?.message);
-    return null;
+export async function semanticSimilarity(a, b) {
+  if (!a || !b) return { score: null, backend: null, error: null };
+
+  let error = null;
+  for (const name of backendChain()) {
+    const provider = PROVIDERS[name];
+    if (!provider.available()) continue;
+    try {
+      const score = await provider.similarity(a, b);
+      recordUpstream(name, true);
+      return { score: Math.max(0, Math.min(100, score)), backend: name, error };
+    } catch (e) {
+      recordUpstream(name, false);
+      logger.warn("semantic backend failed", { backend: name, httpStatus: e?.response?.status, error: e?.message });
+      error = error || `${name}: ${e?.message || "erreur inconnue"}`;
+    }
   }
+  return { score: null, backend: null, error };
 }
 
-function cosine(a, b) {
-  let dot = 0, na = 0, nb = 0;
-  const n = Math.min(a.length, b.length);
-  for (let i = 0; i < n; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
-  if (!na || !nb) return 0;
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+/**
+ * Vérifie activement chaque backend de la chaîne (hf sans HF_API_KEY : configured false, non sondé).
+ * @returns {Promise<{ name: string, configured: boolean, ok: boolean, latencyMs?: number, error?: string }[]>}
+ */
+export async function probeSemantic() {
+  return Promise.all(backendChain().map(async name => {
+    const provider = PROVIDERS[name];
+    if (!provider.available()) return { name, configured: false, ok: false };
+    const start = Date.now();
+    try {
+      await provider.probe();
+      return { name, configured: true, ok: true, latencyMs: Date.now() - start };
+    } catch (e) {
+      return { name, configured: true, ok: false, latencyMs: Date.now() - start, error: e?.message || "Erreur inconnue" };
+    }
+  }));
 }
 
-function avgPool(mat) {
-  const rows = mat.length, cols = rows ? mat[0].length : 0;
-  const out = new Array(cols).fill(0);
-  for (let r = 0; r < rows; r++) {
-    const row = mat[r];
-    for (let c = 0; c < cols; c++) out[c] += row[c];
-  }
-  for (let c = 0; c < cols; c++) out[c] /= rows || 1;
-  return out;
+/**
+ * @param {string} a - texte élève
+ * @param {string} b - réponse attendue
+ * @returns {Promise<number|null>} 0..100 ou null si indisponible
+ */
+export async function semanticSimilarity100(a, b) {
+  return (await semanticSimilarity(a, b)).score;
 }
@@ -0,0 +1,65 @@
+// Client Hugging Face Inference API (pipeline feature-extraction -> embeddings)
+import axios from "axios";
+import { avgPool } from "../utils/vector.js";
+import { getCache } from "../cache.js";
+
+const cache = getCache("embeddings");
+
+const BATCH_SIZE = Number(process.env.HF_BATCH_SIZE || 32); // textes par appel API
+
+export const HF_DEFAULT_MODEL = "sentence-transformers/paraphrase-multilingual-MiniLM-L12-v2";
+
+/** Modèle configuré (HF_MODEL) */
+export function hfModel() {
+  return (process.env.HF_MODEL || HF_DEFAULT_MODEL).trim();
+}
+
+/** Vrai si HF_API_KEY est renseignée */
+export function hfConfigured() {
+  return Boolean((process.env.HF_API_KEY || "").trim());
+}
+
+/**
+ * Embeddings d’une liste de textes, avec cache par (modèle, texte) :
+ * seuls les textes absents du cache sont envoyés à l’API (par lots de HF_BATCH_SIZE).
+ * @param {string[]} texts
+ * @returns {Promise<number[][]>}
+ * @throws {Error} si la clé manque, l’API échoue ou la réponse est inexploitable
+ */
+export async function embedWithHF(texts) {
+  const model = hfModel();
+  const out = await Promise.all(texts.map(t => cache.get(["hf", model, t])));
+  const missing = [...new Set(texts.filter((_, i) => out[i] === undefined))];
+
+  if (missing.length) {
+    const vectors = [];
+    for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+      vectors.push(...(await fetchEmbeddings(missing.slice(i, i + BATCH_SIZE))));
+    }
+    await Promise.all(missing.map((t, i) => cache.set(["hf", model, t], vectors[i])));
+    texts.forEach((t, i) => { if (out[i] === undefined) out[i] = vectors[missing.indexOf(t)]; });
+  }
+  return out;
+}
+
+/** Vérifie que l’API répond (un embedding, sans cache) ; lève une erreur sinon */
+export async function pingHF() {
+  await fetchEmbeddings(["ping"]);
+}
+
+// Appel brut à l’API (un vecteur par texte, pooling moyen si besoin)
+async function fetchEmbeddings(texts) {
+  const token = (process.env.HF_API_KEY || "").trim();
+  if (!token) throw new Error("HF_API_KEY manquante");
+
+  const url = `https://api-inference.huggingface.co/pipeline/feature-extraction/${hfModel()}`;
+  const { data } = await axios.post(url, texts, {
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    timeout: 15000
+  });
+
+  // Certains modèles renvoient [seq_len x hid_dim] → moyenne (pooling)
+  const vectors = texts.map((_, i) => (Array.isArray(data?.[i]?.[0]) ? avgPool(data[i]) : data?.[i]));
+  if (!vectors.every(Array.isArray)) throw new Error("Réponse HF inattendue");
+  return vectors;
+}
@@ -1,17 +1,51 @@
 import axios from "axios";
+import { getCache } from "../cache.js";
+import { chunkText } from "../chunking.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+
+const cache = getCache("languagetool");
+
+// Textes longs : découpés (paragraphes / phrases) sous la limite de taille des requêtes LanguageTool
+const CHUNK_CHARS = Number(process.env.LT_CHUNK_CHARS || 10_000);
+const CHUNK_CONCURRENCY = Number(process.env.LT_CHUNK_CONCURRENCY || 2);
 
 /**
  * Appelle LanguageTool.
  * - Si LT_BASE_URL est défini: on l’utilise (self-host).
  * - Sinon, on tente l’API publique (https://api.languagetool.org/v2/check).
+ * - Au-delà de LT_CHUNK_CHARS caractères : un appel par morceau (LT_CHUNK_CONCURRENCY en parallèle),
+ *   offsets des matches ramenés au texte d’origine.
+ * - Résultat mis en cache par (instance, langue, morceau).
  * @param {string} text
  * @param {string} lang  ex: "fr", "en"
  * @param {string|null} apiKey
  */
 export async function checkWithLanguageTool(text, lang, apiKey = null) {
+  const url = `${baseUrl()}/v2/check`;
+  const check = chunk => cache.wrap(["lt", url, lang || "auto", chunk], () => postCheck(url, chunk, lang, apiKey));
+
+  const chunks = chunkText(text, CHUNK_CHARS, lang);
+  if (chunks.length === 1) return check(text);
+
+  const parts = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, c => check(c.text));
+  // Copies décalées : les réponses en cache ne doivent pas être modifiées
+  const matches = parts.flatMap((data, i) =>
+    (data?.matches || []).map(m => ({ ...m, offset: m.offset + chunks[i].offset }))
+  );
+  return { ...parts[0], matches, chunks: chunks.length };
+}
+
+/** Vérifie que l’instance répond (GET /v2/languages, sans cache) ; lève une erreur sinon */
+export async function pingLanguageTool() {
+  await axios.get(`${baseUrl()}/v2/languages`, { timeout: 5000 });
+}
+
+function baseUrl() {
   const base = process.env.LT_BASE_URL?.trim() || "https://api.languagetool.org";
-  const url = `${base.replace(/\/+$/,"")}/v2/check`;
+  return base.replace(/\/+$/,"");
+}
 
+async function postCheck(url, text, lang, apiKey) {
   const params = new URLSearchParams();
   params.append("language", lang || "auto");
   params.append("text", text);
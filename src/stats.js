@@ -0,0 +1,72 @@
+// Statistiques de classe sur un lot de résultats (/analyse-batch)
+// - moyenne, médiane, min, max
+// - distribution par tranches de 10 points (0-9, 10-19, … 90-100)
+// - effectifs par palier (band) et par niveau CECRL estimé
+
+const AXES = ["content", "organization", "lexis", "grammar", "mechanics", "complexity"];
+
+function round1(x) {
+  return Math.round(x * 10) / 10;
+}
+
+function median(sorted) {
+  const n = sorted.length;
+  if (!n) return null;
+  const mid = Math.floor(n / 2);
+  return n % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function distribution(values) {
+  const buckets = {};
+  for (let b = 0; b < 100; b += 10) buckets[b === 90 ? "90-100" : `${b}-${b + 9}`] = 0;
+  for (const v of values) {
+    const b = Math.min(90, Math.max(0, Math.floor(v / 10) * 10));
+    buckets[b === 90 ? "90-100" : `${b}-${b + 9}`]++;
+  }
+  return buckets;
+}
+
+/**
+ * Résumé d’une série de scores 0..100.
+ * @param {number[]} values
+ */
+export function describeScores(values) {
+  const xs = (values || []).filter(Number.isFinite);
+  const sorted = [...xs].sort((a, b) => a - b);
+  const count = xs.length;
+  return {
+    count,
+    mean: count ? round1(xs.reduce((s, x) => s + x, 0) / count) : null,
+    median: count ? round1(median(sorted)) : null,
+    min: count ? sorted[0] : null,
+    max: count ? sorted[count - 1] : null,
+    distribution: distribution(xs)
+  };
+}
+
+/**
+ * Statistiques sur `rubric.overall` et chaque axe de `rubric.breakdown`.
+ * @param {object[]} analyses - réponses de analyzeText (éléments en échec exclus)
+ */
+export function classStats(analyses) {
+  const ok = (analyses || []).filter(a => a?.rubric);
+  const axes = new Set(AXES);
+  ok.forEach(a => Object.keys(a.rubric.breakdown || {}).forEach(k => axes.add(k)));
+
+  const breakdown = {};
+  for (const axis of axes) {
+    breakdown[axis] = describeScores(ok.map(a => a.rubric.breakdown?.[axis]));
+  }
+  const countBy = key => ok.reduce((acc, a) => {
+    const k = key(a);
+    if (k) acc[k] = (acc[k] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    overall: describeScores(ok.map(a => a.rubric.overall)),
+    breakdown,
+    bands: countBy(a => a.rubric.band),
+    cefr: countBy(a => a.rubric.cefr?.level)
+  };
+}
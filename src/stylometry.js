@@ -0,0 +1,93 @@
+// Signal stylométrique « texte généré ou traduit automatiquement » (heuristique, pas une preuve).
+// Signaux combinés en une vraisemblance 0..100 :
+// - burstiness      : phrases de longueur très régulière (coefficient de variation faible)
+// - errorRate       : quasi-absence d’erreurs LanguageTool, inhabituelle chez un apprenant
+// - sophistication  : part élevée de vocabulaire B2+ (profil CECRL)
+// - artifacts       : traces de traduction (calques, typographie d’une autre langue)
+import { splitSentences } from "./complexity.js";
+import { wordTokens } from "./utils/tokenize.js";
+import { vocabularyProfile } from "./vocabulary.js";
+
+export const AI_FLAG_THRESHOLD = Number(process.env.AI_FLAG_THRESHOLD || 65);
+const MIN_WORDS = 80; // en dessous, pas de signalement (trop peu d’indices)
+
+const WEIGHTS = { burstiness: 0.3, errorRate: 0.3, sophistication: 0.2, artifacts: 0.2 };
+
+// Traces de traduction par langue : [regex, explication]
+// (pas de « ! ? ; : » collés au mot en français : saisie courante chez les élèves, sans lien avec une traduction)
+const ARTIFACTS = {
+  fr: [
+    [/"[^"\n]{1,200}"/gu, "Guillemets droits au lieu de « » (typographie anglaise)."],
+    [/(?<!\p{L})(?:faire|fait|font|faisait) du sens(?!\p{L})/giu, "Calque de « make sense » (→ avoir du sens)."],
+    [/(?<!\p{L})(?:prendre|prend|prennent|pris|prendra) place(?!\p{L})/giu, "Calque de « take place » (→ avoir lieu)."],
+    [/(?<!\p{L})adress(?:er|e|ent|é) (?:un|le|ce|les|des|ces) probl[eè]mes?(?!\p{L})/giu, "Calque de « address a problem » (→ traiter, aborder)."],
+    [/(?<!\p{L})(?:être|est|sont|suis|es|sommes|êtes) supposée?s?(?!\p{L})/giu, "Calque de « be supposed to » (→ être censé)."],
+    [/(?<!\p{L})définitivement(?!\p{L})/giu, "Souvent calqué sur « definitely » (→ sans aucun doute)."],
+    [/(?<!\p{L})en charge de(?!\p{L})/giu, "Calque de « in charge of » (→ chargé de)."]
+  ],
+  en: [
+    [/\s[;:!?](?=\s|$)/gu, "Space before punctuation (French typography)."],
+    [/«|»/gu, "French-style quotation marks."],
+    [/\bsince \d+ (?:years?|months?|weeks?|days?)\b/giu, "Calque of « depuis » (→ for … years)."],
+    [/\b(?:make|made|making) (?:a )?(?:party|sport)\b/giu, "Calque of « faire la fête / du sport »."]
+  ]
+};
+
+const clamp01 = x => Math.max(0, Math.min(1, x));
+
+/**
+ * Traces de traduction repérées (avec offsets).
+ * @returns {{ offset: number, length: number, message: string }[]}
+ */
+export function translationArtifacts(text, lang) {
+  const out = [];
+  for (const [re, message] of ARTIFACTS[lang] || []) {
+    for (const m of (text || "").matchAll(re)) out.push({ offset: m.index, length: m[0].length, message });
+  }
+  return out.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * @param {string} text
+ * @param {string} lang
+ * @param {{ errors: number|null }} [opts] - nombre total d’erreurs LanguageTool (null si LT indisponible ou remplacé par un repli)
+ */
+export function stylometry(text, lang, { errors = null } = {}) {
+  const words = wordTokens(text, lang).length;
+  const signals = [];
+
+  const lengths = splitSentences(text, lang).map(s => wordTokens(s.text, lang).length).filter(Boolean);
+  if (lengths.length >= 4) {
+    const mean = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+    const cv = Math.sqrt(lengths.reduce((a, l) => a + (l - mean) ** 2, 0) / lengths.length) / mean;
+    signals.push({ signal: "burstiness", value: Number(cv.toFixed(2)), score: clamp01((0.45 - cv) / 0.25) });
+  }
+
+  if (Number.isFinite(errors) && words >= 50) {
+    const rate = (errors / words) * 100;
+    signals.push({ signal: "errorRate", value: Number(rate.toFixed(2)), score: clamp01((3 - rate) / 3) });
+  }
+
+  const vocab = vocabularyProfile(text, lang);
+  if (vocab && vocab.words >= 30) {
+    const advanced = vocab.levels.B2 + vocab.levels.C1 + vocab.levels.C2;
+    signals.push({ signal: "sophistication", value: advanced, score: clamp01((advanced - 10) / 20) });
+  }
+
+  const artifacts = translationArtifacts(text, lang);
+  if (ARTIFACTS[lang]) {
+    signals.push({ signal: "artifacts", value: artifacts.length, score: clamp01(artifacts.length / 3) });
+  }
+
+  const totalWeight = signals.reduce((a, s) => a + WEIGHTS[s.signal], 0);
+  const likelihood = totalWeight
+    ? Math.round((signals.reduce((a, s) => a + s.score * WEIGHTS[s.signal], 0) / totalWeight) * 100)
+    : null;
+
+  return {
+    machineLikelihood: likelihood,
+    flagged: likelihood !== null && words >= MIN_WORDS && likelihood >= AI_FLAG_THRESHOLD,
+    signals: signals.map(s => ({ ...s, score: Number(s.score.toFixed(2)), weight: WEIGHTS[s.signal] })),
+    artifacts
+  };
+}
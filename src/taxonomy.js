@@ -0,0 +1,70 @@
+// Taxonomie pédagogique des erreurs LanguageTool (accords, temps, ponctuation, majuscules…)
+// Configuration : src/data/error_taxonomy.json (ou ERROR_TAXONOMY_PATH)
+// - categories : { id: { label, axis: "grammar"|"mechanics", weight } } (weight = multiplicateur de la pénalité de l’axe)
+// - rules      : règles ordonnées { field: "ruleId"|"category"|"issueType", pattern, category } ; la première qui matche gagne
+// - normalization : { perWords, minWords } pénalités exprimées « par perWords mots » (0 = pas de normalisation)
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const TAXONOMY_PATH = process.env.ERROR_TAXONOMY_PATH || path.join(__dirname, "data", "error_taxonomy.json");
+
+// Secours : équivalent de l’ancien découpage orthographe / reste
+let cfg = {
+  normalization: { perWords: 0, minWords: 1 },
+  categories: {
+    grammar: { label: "Grammaire", axis: "grammar", weight: 1 },
+    spelling: { label: "Orthographe", axis: "mechanics", weight: 1 }
+  },
+  rules: [
+    { field: "issueType", pattern: "spelling|typographical", category: "spelling" },
+    { field: "ruleId", pattern: "spelling", category: "spelling" }
+  ],
+  defaultCategory: "grammar"
+};
+try {
+  cfg = JSON.parse(fs.readFileSync(TAXONOMY_PATH, "utf8"));
+} catch (e) {
+  logger.warn("taxonomy unavailable, using defaults", { error: e?.message || String(e) });
+}
+
+const RULES = (cfg.rules || [])
+  .filter(r => cfg.categories?.[r.category])
+  .map(r => ({ ...r, re: new RegExp(r.pattern, "i") }));
+const DEFAULT_CATEGORY = cfg.categories?.[cfg.defaultCategory] ? cfg.defaultCategory : Object.keys(cfg.categories)[0];
+
+function fieldOf(m, field) {
+  if (field === "ruleId") return m.rule?.id || "";
+  if (field === "category") return m.rule?.category?.id || "";
+  if (field === "issueType") return m.rule?.issueType || "";
+  return "";
+}
+
+/**
+ * Catégorie pédagogique d’un match LanguageTool.
+ * @param {object} m - match LT
+ * @returns {string} id de catégorie
+ */
+export function classifyMatch(m) {
+  const rule = RULES.find(r => r.re.test(fieldOf(m, r.field)));
+  return rule ? rule.category : DEFAULT_CATEGORY;
+}
+
+/** Définitions des catégories ({ id: { label, axis, weight } }) */
+export function errorCategories() {
+  return cfg.categories;
+}
+
+/**
+ * Facteur de normalisation par la longueur : perWords / max(words, minWords).
+ * Même taux d’erreur => même pénalité, quelle que soit la longueur.
+ */
+export function lengthFactor(words) {
+  const { perWords = 0, minWords = 1 } = cfg.normalization || {};
+  if (!perWords || !Number.isFinite(words)) return 1;
+  return perWords / Math.max(words, minWords, 1);
+}
@@ -0,0 +1,134 @@
+// Locataires (établissements partageant le déploiement) et authentification.
+// - TENANTS_FILE (défaut ./var/tenants.json) :
+//   { "tenants": [{ "id", "name", "apiKeys": ["<sha256 hex de la clé>"], "rateLimit": 60, "dailyQuota": 1000,
+//                   "defaults": { "rubricId", "expectedLang", "grammarBackend", "locale" }, "admin": false,
+//                   "webhookSecret": "<secret HMAC des webhooks de tâches>",
+//                   "feedbackTemplates": { "<locale>": { "<clé>": "…" } } }] }
+// - identifiants acceptés : clé API (X-API-Key ou Authorization: Bearer <clé>) ou jeton signé
+//   HS256 (format JWT, secret AUTH_TOKEN_SECRET, claims { tenant | sub, exp? })
+// - AUTH_MODE : auto (défaut : exigé dès qu’un locataire est configuré) | required | off
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+const TENANTS_FILE = (process.env.TENANTS_FILE || path.join(process.cwd(), "var", "tenants.json")).trim();
+const TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET?.trim() || null;
+const AUTH_MODE = (process.env.AUTH_MODE || "auto").trim().toLowerCase();
+
+const DEFAULT_RATE_LIMIT = Number(process.env.TENANT_RATE_LIMIT || 60);   // requêtes / minute
+const DEFAULT_DAILY_QUOTA = Number(process.env.TENANT_DAILY_QUOTA || 0);  // analyses / jour (0 = illimité)
+
+const tenants = new Map(); // id -> locataire normalisé
+const keyIndex = new Map(); // sha256(clé) -> id
+
+/** Empreinte SHA-256 (hex) d’une clé API, telle que stockée dans TENANTS_FILE */
+export function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function normalizeTenant(raw) {
+  if (!raw || typeof raw.id !== "string" || !raw.id.trim()) throw new Error("Locataire sans id");
+  const rateLimit = Number(raw.rateLimit ?? DEFAULT_RATE_LIMIT);
+  const dailyQuota = Number(raw.dailyQuota ?? DEFAULT_DAILY_QUOTA);
+  if (!(rateLimit > 0)) throw new Error(`Locataire '${raw.id}' : rateLimit invalide`);
+  if (!(dailyQuota >= 0)) throw new Error(`Locataire '${raw.id}' : dailyQuota invalide`);
+  return {
+    id: raw.id.trim(),
+    name: raw.name || raw.id,
+    apiKeys: (raw.apiKeys || []).map(k => String(k).toLowerCase()),
+    rateLimit,
+    dailyQuota,
+    defaults: { ...(raw.defaults || {}) },
+    admin: raw.admin === true,
+    webhookSecret: raw.webhookSecret ? String(raw.webhookSecret) : null,
+    feedbackTemplates: raw.feedbackTemplates || null
+  };
+}
+
+// Chargement au démarrage (fichier absent : aucun locataire)
+try {
+  const data = JSON.parse(fs.readFileSync(TENANTS_FILE, "utf8"));
+  for (const raw of data.tenants || []) {
+    try {
+      const t = normalizeTenant(raw);
+      tenants.set(t.id, t);
+      t.apiKeys.forEach(h => keyIndex.set(h, t.id));
+    } catch (e) {
+      logger.warn("tenant ignored", { error: e?.message || String(e) });
+    }
+  }
+} catch (e) {
+  if (e?.code !== "ENOENT") logger.warn("tenants file read failed", { error: e?.message || String(e) });
+}
+
+/** Vrai si les requêtes doivent être authentifiées */
+export const AUTH_REQUIRED = AUTH_MODE === "required" || (AUTH_MODE === "auto" && tenants.size > 0);
+
+if (AUTH_MODE === "auto" && !tenants.size) {
+  logger.warn("no tenant configured, authentication disabled");
+}
+
+/** Locataire par id (ou null) */
+export function getTenant(id) {
+  return tenants.get(String(id)) || null;
+}
+
+/** Locataires, sans les empreintes de clés ni le secret des webhooks */
+export function listTenants() {
+  return [...tenants.values()].map(({ apiKeys, webhookSecret, ...t }) => ({ ...t, apiKeys: apiKeys.length }));
+}
+
+const b64url = buf => Buffer.from(buf).toString("base64url");
+
+/**
+ * Jeton signé HS256 pour un locataire (outillage / tests).
+ * @param {{ tenant: string, exp?: number }} claims - exp en secondes epoch
+ */
+export function signToken(claims, secret = TOKEN_SECRET) {
+  if (!secret) throw new Error("AUTH_TOKEN_SECRET non défini");
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify(claims));
+  const sig = crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url");
+  return `${head}.${body}.${sig}`;
+}
+
+// Claims d’un jeton valide, sinon null (signature, algorithme, expiration)
+function verifyToken(token) {
+  if (!TOKEN_SECRET) return null;
+  const [head, body, sig] = token.split(".");
+  if (!head || !body || !sig) return null;
+  const expected = crypto.createHmac("sha256", TOKEN_SECRET).update(`${head}.${body}`).digest();
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  try {
+    if (JSON.parse(Buffer.from(head, "base64url")).alg !== "HS256") return null;
+    const claims = JSON.parse(Buffer.from(body, "base64url"));
+    if (Number.isFinite(claims.exp) && claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Locataire correspondant aux identifiants de la requête.
+ * @param {import("express").Request} req
+ * @returns {{ tenant?: object, error?: string }}
+ */
+export function authenticate(req) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "")?.[1]?.trim();
+  const credential = req.get("x-api-key")?.trim() || bearer;
+  if (!credential) return { error: "Identifiants requis (X-API-Key ou Authorization: Bearer)." };
+
+  if (credential.split(".").length === 3) {
+    const claims = verifyToken(credential);
+    if (!claims) return { error: "Jeton invalide ou expiré." };
+    const tenant = getTenant(claims.tenant ?? claims.sub);
+    return tenant ? { tenant } : { error: "Locataire inconnu." };
+  }
+
+  const id = keyIndex.get(hashKey(credential));
+  return id ? { tenant: tenants.get(id) } : { error: "Clé API invalide." };
+}
@@ -0,0 +1,111 @@
+// Comptabilité d’usage par locataire et par jour (UTC) + quotas journaliers.
+// - compteurs : requests, analyses (textes analysés), characters, rejected (refus pour quota)
+// - persistance : USAGE_FILE (défaut ./var/usage.json ; "off" = mémoire seule), réécrit au plus une fois par seconde
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { logger } from "./logger.js";
+
+const FILE = (process.env.USAGE_FILE || path.join(process.cwd(), "var", "usage.json")).trim();
+const PERSIST = FILE.toLowerCase() !== "off";
+const KEEP_DAYS = Number(process.env.USAGE_KEEP_DAYS || 90);
+
+let usage = {}; // tenantId -> { "YYYY-MM-DD": { requests, analyses, characters, rejected } }
+let flushTimer = null;
+
+if (PERSIST) {
+  try {
+    usage = JSON.parse(fs.readFileSync(FILE, "utf8")) || {};
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("usage store read failed", { error: e?.message || String(e) });
+  }
+}
+
+const dayOf = (ts = Date.now()) => new Date(ts).toISOString().slice(0, 10);
+
+function bucket(tenantId, day = dayOf()) {
+  const t = usage[tenantId] || (usage[tenantId] = {});
+  return t[day] || (t[day] = { requests: 0, analyses: 0, characters: 0, rejected: 0 });
+}
+
+// Purge des jours trop anciens puis écriture différée
+function scheduleFlush() {
+  if (!PERSIST || flushTimer) return;
+  flushTimer = setTimeout(async () => {
+    flushTimer = null;
+    const oldest = dayOf(Date.now() - KEEP_DAYS * 86_400_000);
+    for (const days of Object.values(usage)) {
+      for (const d of Object.keys(days)) if (d < oldest) delete days[d];
+    }
+    try {
+      await fsp.mkdir(path.dirname(FILE), { recursive: true });
+      await fsp.writeFile(FILE, JSON.stringify(usage));
+    } catch (e) {
+      logger.warn("usage store write failed", { error: e?.message || String(e) });
+    }
+  }, 1000);
+  flushTimer.unref?.();
+}
+
+/** Secondes jusqu’à minuit UTC (remise à zéro des quotas) */
+export function secondsUntilReset(now = Date.now()) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next.getTime() - now) / 1000));
+}
+
+/**
+ * Réserve `units` analyses sur le quota du jour.
+ * @param {{ id: string, dailyQuota: number }} tenant - dailyQuota 0 = illimité
+ * @param {number} units
+ * @returns {{ ok: boolean, remaining: number|null, retryAfter?: number }}
+ */
+export function consumeQuota(tenant, units = 1) {
+  const b = bucket(tenant.id);
+  scheduleFlush();
+  if (tenant.dailyQuota && b.analyses + units > tenant.dailyQuota) {
+    b.rejected++;
+    return { ok: false, remaining: Math.max(0, tenant.dailyQuota - b.analyses), retryAfter: secondsUntilReset() };
+  }
+  b.analyses += units;
+  return { ok: true, remaining: tenant.dailyQuota ? tenant.dailyQuota - b.analyses : null };
+}
+
+/** Compte une requête authentifiée (toutes routes) */
+export function recordRequest(tenantId) {
+  bucket(tenantId).requests++;
+  scheduleFlush();
+}
+
+/** Ajoute le volume de texte analysé */
+export function recordCharacters(tenantId, characters) {
+  bucket(tenantId).characters += characters;
+  scheduleFlush();
+}
+
+/**
+ * Usage d’un locataire : aujourd’hui (avec quota restant) + N derniers jours.
+ * @param {{ id: string, dailyQuota: number }} tenant
+ * @param {number} [days]
+ */
+export function tenantUsage(tenant, days = 30) {
+  const today = { day: dayOf(), ...bucket(tenant.id) };
+  const history = Object.entries(usage[tenant.id] || {})
+    .filter(([d]) => d >= dayOf(Date.now() - (days - 1) * 86_400_000))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([day, c]) => ({ day, ...c }));
+  const totals = history.reduce((acc, d) => {
+    for (const k of ["requests", "analyses", "characters", "rejected"]) acc[k] += d[k];
+    return acc;
+  }, { requests: 0, analyses: 0, characters: 0, rejected: 0 });
+  return {
+    tenantId: tenant.id,
+    dailyQuota: tenant.dailyQuota || null,
+    remainingToday: tenant.dailyQuota ? Math.max(0, tenant.dailyQuota - today.analyses) : null,
+    resetInSeconds: secondsUntilReset(),
+    today,
+    totals,
+    days: history
+  };
+}
@@ -0,0 +1,18 @@
+// Exécute fn(item, index) sur chaque élément avec au plus `limit` appels simultanés.
+// L’ordre des résultats suit celui des entrées.
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = items || [];
+  const out = new Array(list.length);
+  const n = Math.max(1, Math.min(Number(limit) || 1, list.length));
+  let next = 0;
+
+  async function worker() {
+    while (next < list.length) {
+      const i = next++;
+      out[i] = await fn(list[i], i);
+    }
+  }
+
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
@@ -0,0 +1,63 @@
+// CSV (RFC 4180) : séparateur virgule ou point-virgule (détecté sur l’en-tête), champs entre guillemets,
+// guillemets doublés, retours à la ligne dans les champs. Première ligne = en-tête.
+// Écriture : formatCsv (mêmes conventions, champs cités seulement si nécessaire).
+
+// Lignes -> tableaux de champs
+function parseRows(text, sep) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      rows.push(row); row = [];
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+/**
+ * Texte CSV -> objets indexés par les noms de colonnes (en-tête).
+ * @param {string} text
+ * @returns {object[]}
+ */
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  const [header = [], ...rows] = parseRows(src, sep);
+  const keys = header.map(h => h.trim());
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, r[i] ?? ""])));
+}
+
+// Champ cité s’il contient le séparateur, un guillemet ou un retour à la ligne (null / undefined : vide)
+function formatField(value, sep) {
+  const s = value == null ? "" : String(value);
+  return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Objets -> texte CSV (en-tête = columns, fins de ligne CRLF).
+ * @param {object[]} rows
+ * @param {string[]} columns
+ * @param {string} [sep] - "," ou ";"
+ * @returns {string}
+ */
+export function formatCsv(rows, columns, sep = ",") {
+  const line = values => values.map(v => formatField(v, sep)).join(sep) + "\r\n";
+  return line(columns) + rows.map(r => line(columns.map(c => r[c]))).join("");
+}
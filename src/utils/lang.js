@@ -6,7 +6,7 @@ export function iso3ToIso2(iso3) {
     ita:"it", por:"pt", rus:"ru",
     kor:"ko", jpn:"ja", cmn:"zh",
     nld:"nl", tur:"tr", pol:"pl",
-    ara:"ar"
+    ara:"ar", arb:"ar"
   };
   return m[iso3] || "und";
 }
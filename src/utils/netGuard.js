@@ -0,0 +1,72 @@
+// Garde-fou SSRF pour les URL appelées par le serveur (webhooks) : refuse les hôtes qui se résolvent vers une
+// adresse de bouclage, privée, lien-local, unique-local, CGNAT, multicast ou réservée (IPv4 et IPv6).
+// La vérification est refaite à la connexion (lookup des agents) : un changement d’enregistrement DNS entre
+// le contrôle et l’envoi (DNS rebinding) ne permet pas d’atteindre le réseau interne.
+
+import dns from "dns";
+import net from "net";
+import http from "http";
+import https from "https";
+
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+  ["192.0.0.0", 24], ["192.0.2.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["198.51.100.0", 24],
+  ["203.0.113.0", 24], ["224.0.0.0", 4], ["240.0.0.0", 4]
+]) blocked.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [
+  ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["2001:db8::", 32], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+]) blocked.addSubnet(address, prefix, "ipv6");
+
+// IPv4 encapsulée en IPv6 (::ffff:a.b.c.d ou ::ffff:xxxx:xxxx), sinon null
+function mappedIpv4(address) {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return dotted[1];
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (!hex) return null;
+  const [hi, lo] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join(".");
+}
+
+/** Vrai si l’adresse IP est routable publiquement (IPv4 encapsulée en IPv6 : contrôle de l’IPv4) */
+export function isPublicAddress(address) {
+  const mapped = mappedIpv4(address);
+  if (mapped) return isPublicAddress(mapped);
+  const family = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+  return Boolean(family) && !blocked.check(address, family);
+}
+
+/**
+ * Résout l’hôte d’une URL et vérifie que toutes ses adresses sont publiques.
+ * @param {string} url
+ * @returns {Promise<string|null>} motif du refus, null si acceptée
+ */
+export async function checkPublicUrl(url) {
+  let host;
+  try { host = new URL(url).hostname.replace(/^\[|\]$/g, ""); } catch { return "URL invalide"; }
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [host] : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(a => a.address);
+  } catch (e) {
+    return `hôte introuvable (${e?.code || e?.message})`;
+  }
+  const bad = addresses.find(a => !isPublicAddress(a));
+  return bad ? `adresse non publique (${bad})` : null;
+}
+
+// Résolution utilisée à la connexion : échoue si une adresse n’est pas publique
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const list = Array.isArray(address) ? address : [{ address, family }];
+    const bad = list.find(a => !isPublicAddress(a.address));
+    if (bad) {
+      return callback(Object.assign(new Error(`Adresse non publique refusée (${bad.address})`), { code: "EADDRNOTPUBLIC" }));
+    }
+    callback(null, address, family);
+  });
+}
+
+// Agents HTTP(S) à résolution filtrée (les IP littérales ne passent pas par lookup : voir checkPublicUrl)
+export const publicHttpAgent = new http.Agent({ lookup: publicLookup });
+export const publicHttpsAgent = new https.Agent({ lookup: publicLookup });
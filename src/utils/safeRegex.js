@@ -0,0 +1,132 @@
+// Expressions régulières fournies par les enseignants (eval.regex, règles "regex") :
+// - contrôle statique avant usage : longueur, syntaxe, pas de références arrière ni de formes clairement
+//   exponentielles (ReDoS) : groupe répété dont le contenu est lui-même variable sans élément fixe qui borne
+//   chaque tour (ex. (a+)+, (a?){20}), ou dont les alternatives se recouvrent (ex. (a|a)*, (a|aa)*) ;
+//   (a|b)+ ou [a-z]+(,[a-z]+)* restent acceptées
+// - exécution bornée dans le temps (REGEX_TIMEOUT_MS, défaut 50 ms) : un dépassement compte comme « pas de match »
+
+import vm from "vm";
+
+const MAX_PATTERN_LENGTH = 500;
+const ALLOWED_FLAGS = /^[imsu]*$/;
+const TIMEOUT_MS = Number(process.env.REGEX_TIMEOUT_MS || 50);
+
+// Quantificateur à la position i : { len, repeats, fixed }, null si aucun
+// (repeats : plus d’une répétition possible ; fixed : nombre exact non nul, ex. {3})
+function quantifierAt(p, i) {
+  const m = p.slice(i).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+  if (!m) return null;
+  const c = p[i];
+  const min = c === "+" ? 1 : c === "{" ? Number(m[1]) : 0;
+  const max = c === "*" || c === "+" ? Infinity : c === "?" ? 1
+    : m[2] === undefined ? min : m[3] === "" ? Infinity : Number(m[3]);
+  return { len: m[0].length, repeats: max > 1, fixed: min === max && min > 0 };
+}
+
+// Branche d’une alternative : élément fixe présent, élément variable présent, premier élément (texte)
+const newBranch = () => ({ anchored: false, variable: false, first: null, empty: true });
+
+/**
+ * Vérifie qu’une expression peut être compilée sans risque.
+ * @param {string} pattern
+ * @param {string} [flags]
+ * @returns {string|null} message d’erreur, null si acceptée
+ */
+export function checkRegex(pattern, flags = "i") {
+  if (typeof pattern !== "string" || !pattern) return "expression vide";
+  if (pattern.length > MAX_PATTERN_LENGTH) return `expression trop longue (max ${MAX_PATTERN_LENGTH} caractères)`;
+  if (!ALLOWED_FLAGS.test(flags)) return `options non autorisées '${flags}' (i, m, s, u)`;
+  try { new RegExp(pattern, flags); } catch (e) { return e.message; }
+
+  const fold = flags.includes("i") ? t => t.toLowerCase() : t => t;
+  // Pile des groupes ouverts, chacun avec ses branches
+  const stack = [{ branches: [newBranch()], zeroWidth: false }];
+
+  // Ajoute un élément (texte, ancré ou variable par nature) à la branche courante, selon son quantificateur
+  const addAtom = (text, { anchored, variable, zeroWidth = false }, at) => {
+    const q = quantifierAt(pattern, at);
+    const branch = stack[stack.length - 1].branches.at(-1);
+    if (branch.first === null) branch.first = fold(text);
+    branch.empty = false;
+    if (!zeroWidth) {
+      if (!q || q.fixed) { branch.anchored ||= anchored; branch.variable ||= variable; } else branch.variable = true;
+    }
+    return q ? q.len : 0;
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\") {
+      const next = pattern[i + 1] || "";
+      if (/[1-9k]/.test(next)) return "références arrière non autorisées";
+      let j = i + 2;
+      if (/[pP]/.test(next) && pattern[j] === "{") j = pattern.indexOf("}", j) + 1;
+      else if (next === "x") j += 2;
+      else if (next === "u") j += pattern[j] === "{" ? pattern.indexOf("}", j) + 1 - j : 4;
+      else if (next === "c") j += 1;
+      const zeroWidth = next === "b" || next === "B";
+      i = j - 1 + addAtom(pattern.slice(i, j), { anchored: true, variable: false, zeroWidth }, j);
+    } else if (c === "[") {
+      let j = i + 1;
+      if (pattern[j] === "^") j++;
+      if (pattern[j] === "]") j++;
+      while (j < pattern.length && pattern[j] !== "]") { if (pattern[j] === "\\") j++; j++; }
+      i = j + addAtom(pattern.slice(i, j + 1), { anchored: true, variable: false }, j + 1);
+    } else if (c === "(") {
+      const look = pattern.slice(i).match(/^\((\?(?:[=!]|<[=!]))/);
+      stack.push({ branches: [newBranch()], zeroWidth: Boolean(look), start: i });
+      i += look ? look[1].length : pattern[i + 1] === "?" ? pattern.slice(i).match(/^\(\?(?::|<[^>]*>)/)[0].length - 1 : 0;
+    } else if (c === "|") {
+      stack[stack.length - 1].branches.push(newBranch());
+    } else if (c === ")") {
+      const group = stack.pop();
+      const { branches } = group;
+      const anchored = branches.every(b => b.anchored);
+      const variable = branches.some(b => b.variable);
+      const q = quantifierAt(pattern, i + 1);
+      if (q?.repeats && !group.zeroWidth) {
+        if (variable && !anchored) {
+          return "quantificateur appliqué à un groupe au contenu variable sans élément fixe (risque de ReDoS)";
+        }
+        const firsts = branches.map(b => b.first);
+        if (branches.length > 1 && (branches.some(b => b.empty) || new Set(firsts).size < firsts.length)) {
+          return "quantificateur appliqué à des alternatives qui se recouvrent (risque de ReDoS)";
+        }
+      }
+      const text = pattern.slice(group.start, i + 1);
+      i += addAtom(text, { anchored, variable, zeroWidth: group.zeroWidth }, i + 1);
+    } else if (c === "^" || c === "$") {
+      i += addAtom(c, { anchored: false, variable: false, zeroWidth: true }, i + 1);
+    } else {
+      i += addAtom(c, { anchored: true, variable: false }, i + 1);
+    }
+  }
+  return null;
+}
+
+// Exécution isolée interrompue au-delà de TIMEOUT_MS (le moteur de regex de V8 honore l’interruption)
+const script = new vm.Script("re.lastIndex = from, re.exec(s)?.index ?? -1");
+const sandbox = vm.createContext({ re: null, s: "", from: 0 });
+
+/**
+ * Position du premier match à partir de `from` (expression supposée validée par checkRegex).
+ * @param {string} pattern
+ * @param {string} flags
+ * @param {string} text
+ * @param {number} [from]
+ * @returns {{ index: number, timedOut: boolean }} index -1 si aucun match ou délai dépassé
+ */
+export function safeRegexSearch(pattern, flags, text, from = 0) {
+  sandbox.re = new RegExp(pattern, flags.includes("g") ? flags : flags + "g");
+  sandbox.s = text || "";
+  sandbox.from = from;
+  try {
+    return { index: script.runInContext(sandbox, { timeout: TIMEOUT_MS }), timedOut: false };
+  } catch (e) {
+    if (e?.code === "ERR_SCRIPT_EXECUTION_TIMEOUT") return { index: -1, timedOut: true };
+    throw e;
+  } finally {
+    sandbox.re = null;
+    sandbox.s = "";
+  }
+}
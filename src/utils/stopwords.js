@@ -0,0 +1,23 @@
+// Listes minimales de mots vides par langue (ISO-639-1), partagées par evaluation.js et lexis.js
+export const STOP = {
+  fr: ["le","la","les","un","une","des","de","du","et","en","à","au","aux","dans","pour","par","avec","sur","se","ce","cette","ces","est","sont"],
+  en: ["the","a","an","and","in","on","to","for","with","of","is","are","was","were","it","i","at","by","from","or","as","but","not","this","that","these","those"],
+  de: ["der","die","das","ein","eine","und","in","auf","zu","mit","von","ist","sind"],
+  es: ["el","la","los","las","un","una","y","en","de","para","con","es","son"],
+  it: ["il","lo","la","i","gli","le","un","una","e","in","di","da","per","con","su","è","sono"],
+  pt: ["o","a","os","as","um","uma","e","em","de","do","da","para","com","por","é","são"],
+  nl: ["de","het","een","en","in","op","te","van","met","voor","is","zijn"],
+  ru: ["и","в","на","с","к","у","по","о","а","это","этот","эта","эти"],
+  pl: ["i","w","na","z","do","o","a","to","jest","są","się","że"],
+  tr: ["ve","bir","bu","şu","da","de","ile","için","mi","ne"],
+  ar: ["في","من","على","إلى","عن","و","أن","هذا","هذه","هو","هي"],
+  zh: ["的","了","是","在","和","也","都","就","着"],
+  ja: ["は","が","を","に","で","と","の","も","へ","です","ます"],
+  ko: ["은","는","이","가","을","를","에","의","와","과","도"]
+};
+
+/** Retire les mots vides de `words` pour la langue `lang` */
+export function filterStop(words, lang) {
+  const set = new Set(STOP[lang] || []);
+  return words.filter(w => !set.has(w));
+}
@@ -0,0 +1,40 @@
+// Segmentation en mots tenant compte des langues sans espaces (zh/ja/ko…) via Intl.Segmenter,
+// avec repli sur \p{L}+ si l’ICU de Node ne le fournit pas.
+
+const CJK = new Set(["zh", "ja", "ko"]);
+
+/** Vrai pour les langues où les mots ne sont pas (toujours) séparés par des espaces */
+export function isCjk(lang) {
+  return CJK.has(lang);
+}
+
+const segmenters = new Map();
+function segmenter(lang) {
+  if (typeof Intl?.Segmenter !== "function") return null;
+  const key = lang || "und";
+  if (!segmenters.has(key)) {
+    try {
+      segmenters.set(key, new Intl.Segmenter(lang && lang !== "und" ? lang : undefined, { granularity: "word" }));
+    } catch {
+      segmenters.set(key, new Intl.Segmenter(undefined, { granularity: "word" }));
+    }
+  }
+  return segmenters.get(key);
+}
+
+/**
+ * Mots (minuscules) d’un texte.
+ * @param {string} text
+ * @param {string} [lang] - ISO-639-1
+ * @returns {string[]}
+ */
+export function wordTokens(text, lang) {
+  const lower = (text || "").toLowerCase();
+  const seg = segmenter(lang);
+  if (!seg) return lower.match(/[\p{L}\p{N}]+/gu) || [];
+  const out = [];
+  for (const s of seg.segment(lower)) {
+    if (s.isWordLike && /\p{L}/u.test(s.segment)) out.push(s.segment);
+  }
+  return out;
+}
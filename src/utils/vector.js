@@ -0,0 +1,45 @@
+// Outils vectoriels partagés (embeddings denses et vecteurs creux)
+
+// Cosinus entre deux vecteurs denses (tableaux)
+export function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) { dot += a[i] * b[i]; na += a[i] * a[i]; nb += b[i] * b[i]; }
+  if (!na || !nb) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+// Cosinus entre deux vecteurs creux (Map terme -> poids)
+export function sparseCosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  for (const [k, v] of a) { na += v * v; const w = b.get(k); if (w) dot += v * w; }
+  for (const v of b.values()) nb += v * v;
+  if (!na || !nb) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+// Moyenne des lignes d’une matrice [seq_len x hid_dim] (mean pooling)
+export function avgPool(mat) {
+  const rows = mat.length, cols = rows ? mat[0].length : 0;
+  const out = new Array(cols).fill(0);
+  for (let r = 0; r < rows; r++) {
+    const row = mat[r];
+    for (let c = 0; c < cols; c++) out[c] += row[c];
+  }
+  for (let c = 0; c < cols; c++) out[c] /= rows || 1;
+  return out;
+}
+
+// Moyenne pondérée de vecteurs denses (poids par défaut : 1)
+export function meanVector(vectors, weights = []) {
+  const cols = vectors.length ? vectors[0].length : 0;
+  const out = new Array(cols).fill(0);
+  let total = 0;
+  vectors.forEach((v, i) => {
+    const w = weights[i] ?? 1;
+    total += w;
+    for (let c = 0; c < cols; c++) out[c] += v[c] * w;
+  });
+  for (let c = 0; c < cols; c++) out[c] /= total || 1;
+  return out;
+}
@@ -0,0 +1,60 @@
+// Espace vectoriel local (hors-ligne) : n-grammes de caractères + mots, pondération TF-IDF
+// (tf sublinéaire ; idf calculé sur les phrases des deux textes comparés, faute de corpus de référence).
+// Aucune dépendance réseau ; mesure un recouvrement de forme « lissé » plutôt qu’un vrai sens,
+// mais reste robuste aux flexions (mang-é / mang-eons) et aux fautes légères.
+
+import { splitSentences } from "./complexity.js";
+import { sparseCosine } from "./utils/vector.js";
+
+const CHAR_N = [3, 4];
+
+function norm(s) {
+  return (s || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/\p{Diacritic}/gu, "")
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Vecteur creux d’un texte (Map terme -> poids).
+ * Termes : "w:<mot>" et "c:<n-gramme>" (n-grammes bornés par des espaces).
+ * @param {string} text
+ * @returns {Map<string, number>}
+ */
+export function vectorize(text) {
+  const counts = new Map();
+  const add = k => counts.set(k, (counts.get(k) || 0) + 1);
+
+  const words = norm(text).split(" ").filter(Boolean);
+  for (const w of words) {
+    add(`w:${w}`);
+    const padded = ` ${w} `;
+    for (const n of CHAR_N) {
+      for (let i = 0; i + n <= padded.length; i++) add(`c:${padded.slice(i, i + n)}`);
+    }
+  }
+
+  // tf sublinéaire : 1 + log(tf)
+  for (const [k, v] of counts) counts.set(k, 1 + Math.log(v));
+  return counts;
+}
+
+/**
+ * Cosinus TF-IDF entre deux textes. Documents de l’idf : les phrases des deux textes ; idf lissé
+ * 1 + ln((1 + N) / (1 + df)) : les termes présents dans toutes les phrases (mots outils, n-grammes
+ * fréquents) pèsent le moins, ceux propres à une idée le plus.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0..1
+ */
+export function tfidfCosine(a, b) {
+  const docs = [...splitSentences(a), ...splitSentences(b)].map(s => vectorize(s.text));
+  const df = new Map();
+  for (const doc of docs) for (const k of doc.keys()) df.set(k, (df.get(k) || 0) + 1);
+  const idf = k => 1 + Math.log((1 + docs.length) / (1 + (df.get(k) || 0)));
+  const weigh = v => new Map([...v].map(([k, tf]) => [k, tf * idf(k)]));
+  return sparseCosine(weigh(vectorize(a)), weigh(vectorize(b)));
+}
@@ -0,0 +1,95 @@
+// Profil lexical CECRL : part des mots (lemmes) par niveau A1–C2, mots hors liste, mots rares.
+// Listes : src/data/wordlists/<lang>.json { levels: { A1: [...], … C2: [...] }, frequency: [...] }
+// Langues sans liste : profil null (le score lexis ne s’appuie alors que sur la diversité).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { wordTokens } from "./utils/tokenize.js";
+import { STOP } from "./utils/stopwords.js";
+import { frenchCandidates, englishCandidates } from "./lemmatize.js";
+import { logger } from "./logger.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const WORDLISTS_DIR = path.join(__dirname, "data", "wordlists");
+
+const LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+// Contribution de chaque niveau à l’étendue du vocabulaire (rangeScore)
+const LEVEL_CREDIT = { A1: 0, A2: 0.5, B1: 1, B2: 1, C1: 1, C2: 1 };
+const RANGE_TARGET = 0.4; // part « avancée » visée pour rangeScore = 100
+
+const lists = new Map(); // lang -> { level: Map<lemme, niveau>, frequent: Set }
+
+function loadList(lang) {
+  if (lists.has(lang)) return lists.get(lang);
+  let entry = null;
+  try {
+    const raw = JSON.parse(fs.readFileSync(path.join(WORDLISTS_DIR, `${lang}.json`), "utf8"));
+    const level = new Map();
+    for (const lvl of LEVELS) {
+      for (const w of raw.levels?.[lvl] || []) {
+        const k = w.toLowerCase();
+        if (!level.has(k)) level.set(k, lvl); // niveau le plus bas retenu
+      }
+    }
+    entry = { level, frequent: new Set((raw.frequency || []).map(w => w.toLowerCase())) };
+  } catch (e) {
+    if (e?.code !== "ENOENT") logger.warn("vocabulary list unreadable", { lang, error: e?.message || String(e) });
+  }
+  lists.set(lang, entry);
+  return entry;
+}
+
+function candidatesFor(text, lang) {
+  if (lang === "en") return englishCandidates(text);
+  const toks = wordTokens(text, lang);
+  return lang === "fr" ? toks.map(frenchCandidates) : toks.map(t => [t]);
+}
+
+/**
+ * @param {string} text
+ * @param {string} lang - ISO-639-1
+ * @returns {object|null} null si aucune liste pour la langue
+ */
+export function vocabularyProfile(text, lang = "fr") {
+  const list = loadList(lang);
+  if (!list) return null;
+
+  const stop = new Set(STOP[lang] || []);
+  const counts = Object.fromEntries(LEVELS.map(l => [l, 0]));
+  const offList = new Set();
+  const rare = new Set();
+  let listed = 0, off = 0, rareCount = 0;
+
+  for (const cands of candidatesFor(text, lang)) {
+    if (stop.has(cands[0])) continue;
+    const lemma = cands.find(c => list.level.has(c));
+    if (!lemma) {
+      off++;
+      offList.add(cands[0]);
+      continue;
+    }
+    const lvl = list.level.get(lemma);
+    counts[lvl]++;
+    listed++;
+    if (!list.frequent.has(lemma) && LEVELS.indexOf(lvl) >= LEVELS.indexOf("B2")) {
+      rareCount++;
+      rare.add(lemma);
+    }
+  }
+
+  const total = listed + off;
+  const pct = n => (total ? Math.round((n / total) * 100) : 0);
+  const advanced = listed ? LEVELS.reduce((s, l) => s + counts[l] * LEVEL_CREDIT[l], 0) / listed : 0;
+
+  return {
+    words: total,
+    levels: Object.fromEntries(LEVELS.map(l => [l, pct(counts[l])])),
+    offList: pct(off),
+    offListWords: [...offList].slice(0, 10),
+    rare: pct(rareCount),
+    rareWords: [...rare].slice(0, 10),
+    rangeScore: Math.round(Math.min(1, advanced / RANGE_TARGET) * 100)
+  };
+}